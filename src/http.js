@@ -0,0 +1,206 @@
+/**
+ * @import { ToastQueue } from './toast-queue.js'
+ * @import { ToastContent, ToastOptions } from './types.js'
+ */
+
+/**
+ * Toast types a server may request. `loading` is left out since a server
+ * can't settle it.
+ * @private
+ */
+const TOAST_TYPES = ['success', 'error', 'warning', 'info'];
+
+/**
+ * Named priorities a server may request. Numeric priorities are accepted
+ * as well.
+ * @private
+ */
+const PRIORITIES = ['low', 'normal', 'high', 'critical'];
+
+const DEFAULT_HEADER = 'X-Toast';
+const DEFAULT_EVENT = 'toast';
+
+/**
+ * Returns text-only toast content, or `undefined` when the value isn't
+ * valid content.
+ *
+ * @param {unknown} value
+ * @returns {ToastContent|undefined}
+ * @private
+ */
+function toContent(value) {
+  if (typeof value === 'string') return value;
+  if (typeof value?.title !== 'string') return;
+  if (value.description === undefined) return { title: value.title };
+  if (typeof value.description === 'string') {
+    return { title: value.title, description: value.description };
+  }
+}
+
+/**
+ * Picks the options a server may set. Markup, such as `icon`, and actions
+ * are ignored.
+ *
+ * @param {Object} value
+ * @returns {ToastOptions}
+ * @private
+ */
+function toOptions(value) {
+  /** @type {ToastOptions} */
+  const options = {};
+
+  if (TOAST_TYPES.includes(value.type)) options.type = value.type;
+  if (typeof value.key === 'string') options.key = value.key;
+  if (typeof value.dismissible === 'boolean') options.dismissible = value.dismissible;
+
+  if (value.duration === 'auto' || (Number.isFinite(value.duration) && value.duration >= 0)) {
+    options.duration = value.duration;
+  }
+
+  if (PRIORITIES.includes(value.priority) || Number.isFinite(value.priority)) {
+    options.priority = value.priority;
+  }
+
+  return options;
+}
+
+/**
+ * Validates one or several toasts sent by a server.
+ *
+ * @param {unknown} data - A toast, or an array of toasts.
+ * @returns {Array<{content: ToastContent, options: ToastOptions}>}
+ * @private
+ */
+function normalizeToasts(data) {
+  return [data].flat().flatMap((entry) => {
+    const content = toContent(typeof entry === 'string' ? entry : entry?.content);
+
+    if (content === undefined) {
+      console.error('[toast-queue] Ignoring server toast without text content', entry);
+      return [];
+    }
+
+    return [{ content, options: typeof entry === 'string' ? {} : toOptions(entry) }];
+  });
+}
+
+/**
+ * Adds validated toasts to a queue.
+ *
+ * @param {ToastQueue} queue
+ * @param {Array<{content: ToastContent, options: ToastOptions}>} toasts
+ * @private
+ */
+function addToasts(queue, toasts) {
+  for (const { content, options } of toasts) {
+    queue.add(content, options);
+  }
+}
+
+/**
+ * Parses a toast response header.
+ *
+ * The value is JSON holding a toast or an array of toasts. A toast is a
+ * string, or an object with text `content` and optional `type`, `duration`,
+ * `key`, `priority` and `dismissible` options:
+ *
+ * ```
+ * X-Toast: {"content":"Saved","type":"success"}
+ * X-Toast: [{"content":{"title":"Saved","description":"3 files"}},"Synced"]
+ * ```
+ *
+ * Content is only used as text. Other options, such as `icon` or
+ * `actions`, are ignored, so a server can't inject markup. Invalid values
+ * are reported with `console.error()` and skipped. Use `\u` escapes for
+ * non-ASCII characters, since header values are not UTF-8 decoded.
+ *
+ * @param {string|null} value - Header value.
+ * @returns {Array<{content: ToastContent, options: ToastOptions}>} The toasts to add.
+ */
+export function parseToastHeader(value) {
+  if (!value) return [];
+
+  try {
+    return normalizeToasts(JSON.parse(value));
+  } catch (error) {
+    console.error('[toast-queue] Invalid toast header', error);
+    return [];
+  }
+}
+
+/**
+ * Wraps `fetch()` so toasts sent in a response header are added to a queue.
+ *
+ * The returned function has the signature of `fetch()` and resolves with
+ * the unchanged response.
+ *
+ * @param {ToastQueue} queue - Queue that shows the toasts.
+ * @param {{header: string, fetch: function(...*): Promise<Response>}} [options] -
+ *   Header to read (`X-Toast` by default) and `fetch` implementation to wrap.
+ * @returns {function(...*): Promise<Response>}
+ *
+ * @example
+ * import { createToastFetch } from 'toast-queue';
+ *
+ * const fetchWithToasts = createToastFetch(toastQueue);
+ *
+ * await fetchWithToasts('/api/profile', { method: 'POST', body });
+ */
+export function createToastFetch(
+  queue,
+  { header = DEFAULT_HEADER, fetch = globalThis.fetch } = {},
+) {
+  return async (...args) => {
+    const response = await fetch(...args);
+
+    addToasts(queue, parseToastHeader(response.headers.get(header)));
+
+    return response;
+  };
+}
+
+/**
+ * Adds toasts from [htmx](https://htmx.org) responses to a queue.
+ *
+ * Toasts are read from the response header of each `htmx:afterRequest`
+ * event, and from the event that an `HX-Trigger` response header fires:
+ *
+ * ```
+ * HX-Trigger: {"toast": {"content":"Saved","type":"success"}}
+ * ```
+ *
+ * Both accept the format described in {@link parseToastHeader}.
+ *
+ * @param {ToastQueue} queue - Queue that shows the toasts.
+ * @param {{header: string, event: string, root: EventTarget}} [options] -
+ *   Header to read (`X-Toast` by default), `HX-Trigger` event name (`toast`
+ *   by default) and element on which to listen (`document` by default).
+ * @returns {function(): void} Removes the event listeners.
+ *
+ * @example
+ * import { connectHtmx } from 'toast-queue';
+ *
+ * const disconnect = connectHtmx(toastQueue);
+ */
+export function connectHtmx(
+  queue,
+  { header = DEFAULT_HEADER, event = DEFAULT_EVENT, root = document } = {},
+) {
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  root.addEventListener(
+    'htmx:afterRequest',
+    ({ detail }) => addToasts(queue, parseToastHeader(detail?.xhr?.getResponseHeader(header))),
+    { signal },
+  );
+
+  // htmx wraps values that aren't objects in `{ value }`.
+  root.addEventListener(
+    event,
+    ({ detail }) => addToasts(queue, normalizeToasts(detail?.value ?? detail)),
+    { signal },
+  );
+
+  return () => controller.abort();
+}
@@ -0,0 +1,130 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { connectHtmx, createToastFetch, parseToastHeader, ToastQueue } from './index.js';
+
+describe('parseToastHeader', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('parses a single toast', () => {
+    expect(parseToastHeader('{"content":"Saved","type":"success","duration":3000}')).toEqual([
+      { content: 'Saved', options: { type: 'success', duration: 3000 } },
+    ]);
+  });
+
+  test('parses several toasts', () => {
+    expect(
+      parseToastHeader('[{"content":{"title":"Saved","description":"3 files"}},"Synced"]'),
+    ).toEqual([
+      { content: { title: 'Saved', description: '3 files' }, options: {} },
+      { content: 'Synced', options: {} },
+    ]);
+  });
+
+  test('ignores markup and invalid options', () => {
+    const [toast] = parseToastHeader(
+      '{"content":"Saved","icon":"<img src=x onerror=alert(1)>","type":"bogus","duration":-1,"actions":[{"label":"Go"}]}',
+    );
+
+    expect(toast).toEqual({ content: 'Saved', options: {} });
+  });
+
+  test('skips toasts without text content', () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(parseToastHeader('[{"content":5},"Saved"]')).toEqual([
+      { content: 'Saved', options: {} },
+    ]);
+    expect(consoleError).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports invalid JSON', () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(parseToastHeader('Saved')).toEqual([]);
+    expect(parseToastHeader(null)).toEqual([]);
+    expect(consoleError).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('createToastFetch', () => {
+  let toastQueue;
+
+  beforeEach(() => {
+    toastQueue = new ToastQueue();
+  });
+
+  afterEach(() => {
+    toastQueue.destroy();
+  });
+
+  test('adds toasts from the response header', async () => {
+    const response = new Response('{}', {
+      headers: { 'X-Toast': '{"content":"Saved","type":"success"}' },
+    });
+    const fetch = vi.fn(async () => response);
+    const fetchWithToasts = createToastFetch(toastQueue, { fetch });
+
+    expect(await fetchWithToasts('/api', { method: 'POST' })).toBe(response);
+    expect(fetch).toHaveBeenCalledWith('/api', { method: 'POST' });
+    expect(toastQueue.size).toBe(1);
+  });
+
+  test('reads a custom header', async () => {
+    const fetch = async () => new Response('{}', { headers: { 'X-Flash': '"Saved"' } });
+    const fetchWithToasts = createToastFetch(toastQueue, { header: 'X-Flash', fetch });
+
+    await fetchWithToasts('/api');
+
+    expect(toastQueue.size).toBe(1);
+  });
+});
+
+describe('connectHtmx', () => {
+  let toastQueue;
+  let disconnect;
+
+  beforeEach(() => {
+    toastQueue = new ToastQueue();
+    disconnect = connectHtmx(toastQueue);
+  });
+
+  afterEach(() => {
+    disconnect();
+    toastQueue.destroy();
+  });
+
+  test('adds toasts from the response header after a request', () => {
+    const xhr = { getResponseHeader: (name) => (name === 'X-Toast' ? '"Saved"' : null) };
+
+    document.body.dispatchEvent(
+      new CustomEvent('htmx:afterRequest', { bubbles: true, detail: { xhr } }),
+    );
+
+    expect(toastQueue.size).toBe(1);
+  });
+
+  test('adds toasts from HX-Trigger events', () => {
+    document.body.dispatchEvent(
+      new CustomEvent('toast', {
+        bubbles: true,
+        detail: { content: 'Saved', type: 'success', elt: document.body },
+      }),
+    );
+    document.body.dispatchEvent(
+      new CustomEvent('toast', { bubbles: true, detail: { value: ['First', 'Second'] } }),
+    );
+
+    expect(toastQueue.size).toBe(3);
+  });
+
+  test('stops listening once disconnected', () => {
+    disconnect();
+
+    document.body.dispatchEvent(
+      new CustomEvent('toast', { bubbles: true, detail: { value: 'Saved' } }),
+    );
+
+    expect(toastQueue.size).toBe(0);
+  });
+});
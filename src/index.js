@@ -1,3 +1,5 @@
 import './style.css';
 
+export { connectHtmx, createToastFetch, parseToastHeader } from './http.js';
 export { ToastQueue } from './toast-queue.js';
+export { defineToastQueueElement } from './toast-queue-element.js';
@@ -0,0 +1,223 @@
+import {
+  DEFAULT_DURATION,
+  DEFAULT_POSITION,
+  DEFAULT_VISIBLE_LIMIT,
+  getToastQueue,
+  ToastQueue,
+} from './toast-queue.js';
+import { parseDuration, parseNumber } from './utils.js';
+
+/** @import { ToastQueueOptions, ToastQueueTemplate } from './types.js' */
+
+/**
+ * Queue methods exposed directly on the element.
+ * @private
+ */
+const QUEUE_METHODS = [
+  'add',
+  'get',
+  'update',
+  'promise',
+  'success',
+  'error',
+  'warning',
+  'info',
+  'loading',
+  'close',
+  'clear',
+  'pause',
+  'resume',
+  'pin',
+  'unpin',
+  'restore',
+  'clearHistory',
+  'toggleHistory',
+];
+
+/**
+ * Queue methods exposed on each element as bound functions, like the
+ * queue's own, so they can be passed to framework bindings.
+ * @private
+ */
+const BOUND_QUEUE_METHODS = ['subscribe', 'getSnapshot'];
+
+/**
+ * Queue properties exposed directly on the element.
+ * @private
+ */
+const QUEUE_PROPERTIES = ['size', 'history', 'duration', 'position', 'visibleLimit'];
+
+/**
+ * Converts a `data-template` name such as `action-button` to the matching
+ * {@link ToastQueueTemplate} key.
+ *
+ * @param {string} name
+ * @returns {string}
+ * @private
+ */
+function toTemplateKey(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * `<toast-queue>` custom element backed by a {@link ToastQueue}.
+ *
+ * @private
+ */
+class ToastQueueElement extends HTMLElement {
+  static observedAttributes = ['position', 'duration', 'visible-limit'];
+
+  /** @type {ToastQueue|null} */
+  #queue = null;
+
+  /** @type {boolean} Whether the queue was created by this element. */
+  #ownsQueue = false;
+
+  constructor() {
+    super();
+
+    for (const method of BOUND_QUEUE_METHODS) {
+      this[method] = (...args) => this.#queue?.[method](...args);
+    }
+  }
+
+  /**
+   * The queue managing this element.
+   *
+   * @readonly
+   * @type {ToastQueue|null}
+   */
+  get queue() {
+    return this.#queue;
+  }
+
+  connectedCallback() {
+    // Queues created with `new ToastQueue()` mount their own root element.
+    this.#queue = getToastQueue(this) ?? null;
+    if (this.#queue) return;
+
+    this.#queue = new ToastQueue(this.#getOptions());
+    this.#ownsQueue = true;
+  }
+
+  disconnectedCallback() {
+    if (!this.#ownsQueue) return;
+
+    // Moving the element within the document keeps its queue.
+    queueMicrotask(() => {
+      if (this.isConnected || !this.#queue) return;
+
+      this.#queue.destroy();
+      this.#queue = null;
+      this.#ownsQueue = false;
+    });
+  }
+
+  /**
+   * Removing an attribute restores the queue's default. Values that are not
+   * numbers are ignored for `duration` and `visible-limit`.
+   *
+   * @param {string} name
+   * @param {string|null} _oldValue
+   * @param {string|null} value
+   */
+  attributeChangedCallback(name, _oldValue, value) {
+    if (!this.#queue) return;
+
+    switch (name) {
+      case 'position':
+        this.#queue.position = value ?? DEFAULT_POSITION;
+        break;
+
+      case 'duration': {
+        const duration = value === null ? DEFAULT_DURATION : parseDuration(value);
+        if (duration !== undefined) this.#queue.duration = duration;
+        break;
+      }
+
+      case 'visible-limit': {
+        const visibleLimit = value === null ? DEFAULT_VISIBLE_LIMIT : parseNumber(value);
+        if (visibleLimit !== undefined) this.#queue.visibleLimit = visibleLimit;
+        break;
+      }
+    }
+  }
+
+  /**
+   * Reads the queue options from the element's attributes and nested
+   * `<template data-template>` children.
+   *
+   * @returns {ToastQueueOptions}
+   */
+  #getOptions() {
+    /** @type {ToastQueueTemplate} */
+    const template = {};
+
+    for (const element of this.querySelectorAll(':scope > template[data-template]')) {
+      template[toTemplateKey(element.dataset.template)] = element.innerHTML;
+    }
+
+    return {
+      root: this,
+      position: this.getAttribute('position') ?? undefined,
+      duration: parseDuration(this.getAttribute('duration')),
+      visibleLimit: parseNumber(this.getAttribute('visible-limit')),
+      template,
+    };
+  }
+}
+
+for (const method of QUEUE_METHODS) {
+  ToastQueueElement.prototype[method] = function (...args) {
+    return this.queue?.[method](...args);
+  };
+}
+
+for (const property of QUEUE_PROPERTIES) {
+  Object.defineProperty(ToastQueueElement.prototype, property, {
+    get() {
+      return this.queue?.[property];
+    },
+    set(value) {
+      if (this.queue) this.queue[property] = value;
+    },
+  });
+}
+
+/**
+ * Registers `<toast-queue>` as a custom element.
+ *
+ * Each `<toast-queue>` element in the document then manages its own
+ * {@link ToastQueue}, configured through attributes:
+ *
+ * - `position` — {@link ToastQueue#position}
+ * - `duration` — {@link ToastQueue#duration}, in milliseconds or `auto`
+ * - `visible-limit` — {@link ToastQueue#visibleLimit}
+ *
+ * Changing an attribute updates the queue, and removing it restores the
+ * default. Values that are not numbers are ignored. Nested
+ * `<template data-template="…">` children replace the string templates,
+ * e.g. `data-template="item"` or `data-template="action-button"`.
+ *
+ * The element exposes the queue's methods, such as `add()` and `close()`,
+ * and its properties directly. `subscribe()` and `getSnapshot()` are bound
+ * to the element, like those of the queue. Roots of queues created with
+ * `new ToastQueue()` are upgraded as well and use that queue.
+ *
+ * Calling this function again has no effect.
+ *
+ * @returns {void}
+ *
+ * @example
+ * import { defineToastQueueElement } from 'toast-queue';
+ *
+ * defineToastQueueElement();
+ *
+ * // <toast-queue position="bottom-end" duration="4000" visible-limit="2"></toast-queue>
+ * document.querySelector('toast-queue').add('Changes saved.');
+ */
+export function defineToastQueueElement() {
+  if (customElements.get('toast-queue')) return;
+
+  customElements.define('toast-queue', ToastQueueElement);
+}
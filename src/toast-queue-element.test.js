@@ -0,0 +1,147 @@
+import { afterEach, beforeAll, describe, expect, test, vi } from 'vitest';
+import { page } from 'vitest/browser';
+import { defineToastQueueElement, ToastQueue } from './index.js';
+
+describe('defineToastQueueElement', () => {
+  beforeAll(() => {
+    defineToastQueueElement();
+  });
+
+  afterEach(() => {
+    document.body.replaceChildren();
+  });
+
+  test('creates a queue configured by attributes', () => {
+    document.body.innerHTML =
+      '<toast-queue position="bottom-end" duration="4000" visible-limit="2"></toast-queue>';
+
+    const element = document.querySelector('toast-queue');
+
+    expect(element.queue).toBeInstanceOf(ToastQueue);
+    expect(element.queue.element).toBe(element);
+    expect(element.position).toBe('bottom-end');
+    expect(element.duration).toBe(4000);
+    expect(element.visibleLimit).toBe(2);
+    expect(element).toHaveAttribute('popover', 'manual');
+    expect(element.querySelector('[data-part="group"]')).toBeTruthy();
+  });
+
+  test('updates the queue when attributes change', () => {
+    document.body.innerHTML = '<toast-queue></toast-queue>';
+
+    const element = document.querySelector('toast-queue');
+
+    element.setAttribute('position', 'top-start');
+    element.setAttribute('duration', 'auto');
+    element.setAttribute('visible-limit', '5');
+
+    expect(element.queue.position).toBe('top-start');
+    expect(element).toHaveAttribute('data-position', 'top-start');
+    expect(element.queue.duration).toBe('auto');
+    expect(element.queue.visibleLimit).toBe(5);
+  });
+
+  test('restores defaults when attributes are removed', () => {
+    document.body.innerHTML =
+      '<toast-queue position="bottom-end" duration="4000" visible-limit="2"></toast-queue>';
+
+    const element = document.querySelector('toast-queue');
+
+    element.removeAttribute('position');
+    element.removeAttribute('duration');
+    element.removeAttribute('visible-limit');
+
+    expect(element.queue.position).toBe('top-end');
+    expect(element.queue.duration).toBe(6000);
+    expect(element.queue.visibleLimit).toBe(3);
+  });
+
+  test('ignores attribute values that are not numbers', () => {
+    document.body.innerHTML = '<toast-queue duration="soon" visible-limit="many"></toast-queue>';
+
+    const element = document.querySelector('toast-queue');
+
+    expect(element.queue.duration).toBe(6000);
+    expect(element.queue.visibleLimit).toBe(3);
+
+    element.setAttribute('duration', '4000');
+    element.setAttribute('duration', 'later');
+    element.setAttribute('visible-limit', '');
+
+    expect(element.queue.duration).toBe(4000);
+    expect(element.queue.visibleLimit).toBe(3);
+  });
+
+  test('exposes queue methods on the element', async () => {
+    document.body.innerHTML = '<toast-queue></toast-queue>';
+
+    const element = document.querySelector('toast-queue');
+    const toast = element.add('Toast message');
+
+    await expect.element(page.getByText('Toast message')).toBeInTheDocument();
+    expect(element.size).toBe(1);
+
+    element.close(toast.id);
+
+    expect(element.size).toBe(0);
+  });
+
+  test('exposes bound subscribe and getSnapshot on the element', () => {
+    document.body.innerHTML = '<toast-queue></toast-queue>';
+
+    const { subscribe, getSnapshot, queue } = document.querySelector('toast-queue');
+    const listener = vi.fn();
+    const unsubscribe = subscribe(listener);
+
+    queue.add('Toast message');
+
+    expect(listener).toHaveBeenCalled();
+    expect(getSnapshot()).toBe(queue.getSnapshot());
+    expect(getSnapshot().toasts).toHaveLength(1);
+
+    unsubscribe();
+  });
+
+  test('uses nested templates', async () => {
+    document.body.innerHTML = `<toast-queue>
+      <template data-template="item">
+        <li data-part="item" class="custom-item">
+          <div data-part="toast">
+            <div data-part="icon"></div>
+            <div data-part="content">
+              <span data-part="title"></span>
+              <span data-part="description"></span>
+            </div>
+            <div data-part="actions"></div>
+            <button type="button" data-part="close-button" data-command="close">Dismiss</button>
+          </div>
+        </li>
+      </template>
+    </toast-queue>`;
+
+    const element = document.querySelector('toast-queue');
+    const toast = element.add('Toast message');
+
+    expect(toast.itemRef).toHaveClass('custom-item');
+    await expect.element(page.getByRole('button', { name: 'Dismiss' })).toBeInTheDocument();
+  });
+
+  test('uses the queue of roots created with new ToastQueue()', () => {
+    const queue = new ToastQueue();
+
+    expect(queue.element.queue).toBe(queue);
+
+    queue.destroy();
+  });
+
+  test('destroys its queue when removed from the document', async () => {
+    document.body.innerHTML = '<toast-queue></toast-queue>';
+
+    const element = document.querySelector('toast-queue');
+
+    element.remove();
+    await Promise.resolve();
+
+    expect(element.queue).toBeNull();
+  });
+});
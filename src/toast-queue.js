@@ -1,7 +1,13 @@
 import { Swipeable } from './swipeable.js';
 import {
+  formatRelativeTime,
+  getAnnouncementPriority,
   getPositionViewTransitionClass,
+  getPriorityLevel,
   getSwipeableDirection,
+  matchesHotkey,
+  parseDuration,
+  parsePriority,
   randomId,
   Timer,
   wrapInViewTransition,
@@ -9,17 +15,45 @@ import {
 
 /** @import {
  *   ToastQueueOptions,
+ *   ToastQueueCoordination,
  *   ToastQueuePosition,
+ *   ToastQueueOverflow,
+ *   ToastQueueMode,
+ *   ToastQueueOrder,
  *   ToastQueueTemplate,
+ *   ToastDuration,
+ *   ToastReadingTime,
  *   ToastContent,
+ *   ToastContentObject,
  *   ToastOptions,
+ *   ToastAction,
+ *   ToastType,
+ *   ToastPriority,
+ *   ToastUpdate,
+ *   ToastPromiseMessages,
+ *   ToastPromiseContent,
  *   ToastRecord,
+ *   ToastHistoryEntry,
+ *   ToastRenderer,
+ *   ToastParts,
+ *   ToastStorage,
+ *   PersistedToast,
+ *   ToastChannelMessage,
  *   PauseReason,
  *   ActivationReason,
  *   CloseReason,
  *   ToastAddEventDetail,
  *   ToastCloseEventDetail,
+ *   ToastUpdateEventDetail,
+ *   ToastRepeatEventDetail,
+ *   ToastVisibilityEventDetail,
+ *   ToastHistoryChangeEventDetail,
+ *   ToastQueueSnapshot,
+ *   ToastState,
+ *   ToastPauseReason,
+ *   ToastPauseEventDetail,
  *   ToastActionEventDetail,
+ *   ToastActionErrorEventDetail,
  *   ToastActivateEventDetail,
  *   ToastDeactivateEventDetail
  * } from './types.js'
@@ -39,11 +73,17 @@ const TEMPLATE = {
         <span data-part="title"></span>
         <span data-part="description"></span>
       </div>
+      <span data-part="count"></span>
       <div data-part="actions"></div>
       <button type="button" data-part="close-button" data-command="close" aria-label="Close">&times;</button>
     </div>
   </li>`,
   actionButton: `<button type="button" data-part="action-button" data-command="action"></button>`,
+  actionLink: `<a data-part="action-button" data-command="action"></a>`,
+  history: `<section data-part="history" aria-label="Recent notifications">
+    <ol data-part="history-list"></ol>
+  </section>`,
+  restoreButton: `<button type="button" data-part="restore-button" data-command="restore">Restore</button>`,
 };
 
 /**
@@ -59,15 +99,403 @@ const SELECTORS = {
   content: '[data-part="content"]',
   title: '[data-part="title"]',
   desc: '[data-part="description"]',
+  count: '[data-part="count"]',
   closeButton: '[data-part="close-button"]',
   actions: '[data-part="actions"]',
   actionButton: '[data-part="action-button"]',
   command: '[data-command]',
+  history: '[data-part="history"]',
+  historyList: '[data-part="history-list"]',
+  historyItem: '[data-part="history-item"]',
+  restoreButton: '[data-part="restore-button"]',
 };
 
-const DEFAULT_DURATION = 6000;
-const DEFAULT_POSITION = 'top-end';
-const DEFAULT_VISIBLE_LIMIT = 3;
+export const DEFAULT_DURATION = 6000;
+export const DEFAULT_POSITION = 'top-end';
+export const DEFAULT_VISIBLE_LIMIT = 3;
+const DEFAULT_MAX_SIZE = Infinity;
+const DEFAULT_OVERFLOW = 'drop-oldest';
+const DEFAULT_MODE = 'stack';
+const DEFAULT_ORDER = 'time';
+const DEFAULT_SEQUENCE_GAP = 0;
+const DEFAULT_HISTORY_SIZE = 20;
+const DEFAULT_PERSIST_KEY = 'toast-queue';
+const DEFAULT_QUEUE_NAME = 'default';
+
+/**
+ * Default settings for `'auto'` durations.
+ * @private
+ * @type {Required<ToastReadingTime>}
+ */
+const DEFAULT_READING_TIME = {
+  wordsPerMinute: 200,
+  minDuration: 3000,
+  maxDuration: 12000,
+  actionTime: 3000,
+  resumeGrace: 1500,
+};
+
+/**
+ * Queue pause reasons caused by user interaction. Timers of `'auto'`
+ * duration toasts get a grace period when these end.
+ * @private
+ * @type {PauseReason[]}
+ */
+const INTERACTION_PAUSE_REASONS = ['hover', 'focus', 'click'];
+
+/**
+ * Default icon markup for each toast type.
+ * @private
+ * @type {Record<ToastType, string>}
+ */
+const DEFAULT_ICONS = {
+  success: `<svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><circle cx="12" cy="12" r="10"/><path d="m8 12 3 3 5-6"/></svg>`,
+  error: `<svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><circle cx="12" cy="12" r="10"/><path d="m15 9-6 6M9 9l6 6"/></svg>`,
+  warning: `<svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M10.3 3.9 1.8 18a2 2 0 0 0 1.7 3h17a2 2 0 0 0 1.7-3L13.7 3.9a2 2 0 0 0-3.4 0Z"/><path d="M12 9v4M12 17h.01"/></svg>`,
+  info: `<svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><circle cx="12" cy="12" r="10"/><path d="M12 16v-4M12 8h.01"/></svg>`,
+  loading: `<span data-part="spinner" aria-hidden="true"></span>`,
+};
+
+/**
+ * Minimum time between two announcements of a repeated toast.
+ * @private
+ */
+const REPEAT_ANNOUNCEMENT_INTERVAL = 1000;
+
+/**
+ * Close reasons that only apply to the local queue and are not mirrored to
+ * other tabs. Timeouts are only mirrored by the tab that added the toast.
+ * @private
+ * @type {CloseReason[]}
+ */
+const LOCAL_CLOSE_REASONS = ['overflow', 'remote'];
+
+/**
+ * Invoker Commands handled by the queue element, mapped to built-in
+ * commands.
+ * @private
+ */
+const INVOKER_COMMANDS = {
+  '--toast-add': 'add',
+  '--toast-clear': 'clear',
+  '--toast-pause': 'pause',
+  '--toast-resume': 'resume',
+};
+
+/**
+ * Toast record properties that can be changed through `update()`.
+ * @private
+ */
+const UPDATABLE_PROPERTIES = [
+  'type',
+  'content',
+  'icon',
+  'actions',
+  'duration',
+  'className',
+  'dismissible',
+  'priority',
+  'announcement',
+];
+
+/**
+ * Queues by their root `<toast-queue>` element.
+ * @private
+ * @type {WeakMap<HTMLElement, ToastQueue>}
+ */
+const queues = new WeakMap();
+
+/**
+ * Returns the queue mounted on a `<toast-queue>` element.
+ *
+ * @param {Element} element
+ * @returns {ToastQueue|undefined}
+ * @private
+ */
+export function getToastQueue(element) {
+  return queues.get(element);
+}
+
+/**
+ * Named queues, created with the `name` option or by `ToastQueue.get()`.
+ * @private
+ * @type {Map<string, ToastQueue>}
+ */
+const registry = new Map();
+
+/**
+ * Options for named queues that `ToastQueue.get()` creates, set by
+ * `ToastQueue.register()`.
+ * @private
+ * @type {Map<string, ToastQueueOptions>}
+ */
+const registeredOptions = new Map();
+
+/**
+ * How named queues coordinate, set by `ToastQueue.coordinate()`.
+ * @private
+ * @type {Required<ToastQueueCoordination>}
+ */
+const coordination = { visibleLimit: Infinity, pause: false };
+
+/**
+ * Returns the actions configured in toast options.
+ *
+ * `actions` takes precedence over the single `action` shorthand.
+ *
+ * @param {ToastOptions|ToastUpdate} options
+ * @returns {ToastAction[]}
+ * @private
+ */
+function normalizeActions(options) {
+  if (options.actions) return [...options.actions];
+
+  return options.action ? [options.action] : [];
+}
+
+/**
+ * Returns the default content of the overflow summary toast.
+ *
+ * @param {number} count - Number of toasts folded into the summary.
+ * @returns {ToastContent}
+ * @private
+ */
+function defaultOverflowSummary(count) {
+  return count === 1 ? '1 more notification' : `${count} more notifications`;
+}
+
+/**
+ * Returns a node to insert for toast content.
+ *
+ * Fragments are cloned, so they can be rendered again when the toast is
+ * updated or listed in the history. Other nodes are moved.
+ *
+ * @param {string|Node} value
+ * @returns {string|Node}
+ * @private
+ */
+function toNode(value) {
+  return value instanceof DocumentFragment ? value.cloneNode(true) : value;
+}
+
+/**
+ * Returns the text of a string or node.
+ *
+ * @param {string|Node|undefined} value
+ * @returns {string|undefined}
+ * @private
+ */
+function toText(value) {
+  return value instanceof Node ? value.textContent.trim() : value;
+}
+
+/**
+ * Returns toast content with nodes replaced by their text, for contexts
+ * that need plain data.
+ *
+ * @param {ToastContent} content
+ * @returns {string|ToastContentObject}
+ * @private
+ */
+function toTextContent(content) {
+  if (typeof content === 'string' || content instanceof Node) return toText(content);
+  if (!content) return content;
+
+  return { title: toText(content.title), description: toText(content.description) };
+}
+
+/**
+ * Returns the default accessible name of the queue region.
+ *
+ * @param {number} count - Number of toasts in the queue.
+ * @returns {string}
+ * @private
+ */
+function defaultRegionLabel(count) {
+  return count === 1 ? 'Notifications, 1 item' : `Notifications, ${count} items`;
+}
+
+/**
+ * Reads toast content and options from the `data-toast` attributes of a
+ * trigger element.
+ *
+ * `data-toast` holds the message, or the title when
+ * `data-toast-description` is set. `data-toast-type`, `-duration`, `-key`,
+ * `-priority`, `-dismissible` and `-position` map to the matching toast
+ * options.
+ *
+ * @param {HTMLElement} element
+ * @returns {{content: ToastContent, options: ToastOptions}}
+ * @private
+ */
+function readToastTrigger(element) {
+  const {
+    toast: title,
+    toastDescription: description,
+    toastType: type,
+    toastDuration: duration,
+    toastKey: key,
+    toastPriority: priority,
+    toastDismissible: dismissible,
+    toastPosition: position,
+  } = element.dataset;
+
+  return {
+    content: description ? { title, description } : title,
+    options: {
+      type,
+      key,
+      duration: parseDuration(duration),
+      priority: parsePriority(priority),
+      dismissible: dismissible === undefined ? undefined : dismissible !== 'false',
+      position,
+    },
+  };
+}
+
+/**
+ * Converts toast content and options into a storable form.
+ *
+ * Only actions with an `href` are kept, since click handlers can't be
+ * serialized. Nodes in the content are replaced by their text.
+ *
+ * @param {ToastContent} content
+ * @param {ToastOptions} options
+ * @returns {PersistedToast}
+ * @private
+ */
+function toPersistedToast(content, options) {
+  return {
+    content: toTextContent(content),
+    options: {
+      type: options.type,
+      key: options.key,
+      className: options.className,
+      icon: options.icon,
+      actions: normalizeActions(options).filter((action) => action?.href),
+      dismissible: options.dismissible,
+      priority: options.priority,
+      duration: options.duration,
+      announcement: options.announcement,
+      position: options.position,
+    },
+  };
+}
+
+/**
+ * Returns the part of a toast update that can be sent to other tabs.
+ *
+ * Like {@link toPersistedToast}, content is sent as text and only actions
+ * with an `href` are kept.
+ *
+ * @param {ToastUpdate} patch
+ * @returns {ToastUpdate}
+ * @private
+ */
+function toPersistedUpdate(patch) {
+  const update = {};
+
+  for (const key of [...UPDATABLE_PROPERTIES, 'announce']) {
+    if (Object.hasOwn(patch, key)) update[key] = patch[key];
+  }
+
+  if (Object.hasOwn(update, 'content')) {
+    update.content = toTextContent(update.content);
+  }
+
+  if (Object.hasOwn(update, 'actions')) {
+    update.actions = update.actions.filter((action) => action?.href);
+  }
+
+  return update;
+}
+
+/**
+ * Reads persisted toasts from storage.
+ *
+ * @param {ToastStorage} storage
+ * @param {string} key
+ * @returns {PersistedToast[]}
+ * @private
+ */
+function readPersistedToasts(storage, key) {
+  try {
+    return JSON.parse(storage.getItem(key)) ?? [];
+  } catch (error) {
+    console.error('[toast-queue] Failed to read persisted toasts', error);
+    return [];
+  }
+}
+
+/**
+ * Writes persisted toasts to storage, or removes the entry when there are
+ * none.
+ *
+ * @param {ToastStorage} storage
+ * @param {string} key
+ * @param {PersistedToast[]} toasts
+ * @private
+ */
+function writePersistedToasts(storage, key, toasts) {
+  try {
+    if (toasts.length > 0) {
+      storage.setItem(key, JSON.stringify(toasts));
+    } else {
+      storage.removeItem(key);
+    }
+  } catch (error) {
+    console.error('[toast-queue] Failed to persist toasts', error);
+  }
+}
+
+/**
+ * Returns the serializable state of a toast for snapshots.
+ *
+ * Action handlers are left out. The state is frozen.
+ *
+ * @param {ToastRecord} toast
+ * @param {{position: ToastQueuePosition, queued: boolean, paused: boolean, pinned: boolean}} state
+ * @returns {ToastState}
+ * @private
+ */
+function toToastState(toast, { position, queued, paused, pinned }) {
+  const content = toTextContent(toast.content);
+
+  return Object.freeze({
+    id: toast.id,
+    key: toast.key,
+    count: toast.count,
+    timestamp: toast.timestamp,
+    type: toast.type,
+    content: typeof content === 'string' ? content : Object.freeze(toTextContent(content)),
+    className: toast.className,
+    icon: toast.icon,
+    actions: Object.freeze(
+      toast.actions.map(({ label, id, variant, href, target }) =>
+        Object.freeze({ label, id, variant, href, target }),
+      ),
+    ),
+    dismissible: toast.dismissible,
+    priority: toast.priority,
+    duration: toast.duration,
+    announcement: toast.announcement,
+    position,
+    queued,
+    paused,
+    pinned,
+  });
+}
+
+/**
+ * Returns the default announcement priority for a toast type.
+ *
+ * @param {ToastType} [type]
+ * @returns {ToastPriority}
+ * @private
+ */
+function getDefaultPriority(type) {
+  return type === 'error' ? 'high' : 'normal';
+}
 
 /**
  * Manages a queue of toast notifications.
@@ -77,7 +505,8 @@ const DEFAULT_VISIBLE_LIMIT = 3;
  * and screen-reader announcements.
  *
  * Auto-dismiss timers are paused while the queue is hovered or focused and
- * while the document is hidden.
+ * while the document is hidden. A toast's timer only runs once its entering
+ * transition has finished and while it is within the visible limit.
  *
  * Toasts are announced with the browser's `ariaNotify()` API when available.
  * Browsers without `ariaNotify()` can use the
@@ -90,20 +519,47 @@ const DEFAULT_VISIBLE_LIMIT = 3;
  *
  * ## Public API
  *
+ * ### Static methods
+ *
+ * - {@link ToastQueue.flash}
+ * - {@link ToastQueue.register}
+ * - {@link ToastQueue.get}
+ * - {@link ToastQueue.coordinate}
+ *
+ * ### Static properties
+ *
+ * - {@link ToastQueue.default}
+ *
  * ### Methods
  *
  * - {@link ToastQueue#add}
  * - {@link ToastQueue#get}
+ * - {@link ToastQueue#update}
+ * - {@link ToastQueue#promise}
+ * - {@link ToastQueue#success}
+ * - {@link ToastQueue#error}
+ * - {@link ToastQueue#warning}
+ * - {@link ToastQueue#info}
+ * - {@link ToastQueue#loading}
  * - {@link ToastQueue#close}
  * - {@link ToastQueue#clear}
  * - {@link ToastQueue#pause}
  * - {@link ToastQueue#resume}
+ * - {@link ToastQueue#pin}
+ * - {@link ToastQueue#unpin}
+ * - {@link ToastQueue#restore}
+ * - {@link ToastQueue#clearHistory}
+ * - {@link ToastQueue#toggleHistory}
+ * - {@link ToastQueue#subscribe}
+ * - {@link ToastQueue#getSnapshot}
  * - {@link ToastQueue#destroy}
  *
  * ### Properties
  *
  * - {@link ToastQueue#element}
  * - {@link ToastQueue#size}
+ * - {@link ToastQueue#history}
+ * - {@link ToastQueue#duration}
  * - {@link ToastQueue#position}
  * - {@link ToastQueue#visibleLimit}
  *
@@ -116,14 +572,42 @@ const DEFAULT_VISIBLE_LIMIT = 3;
  *    Dispatched after a toast is added to the queue.
  * - `toast-close` — {@link ToastCloseEventDetail}
  *    Dispatched when a toast is closed.
+ * - `toast-update` — {@link ToastUpdateEventDetail}
+ *    Dispatched after a toast has been updated in place.
+ * - `toast-show` — {@link ToastVisibilityEventDetail}
+ *    Dispatched when a toast has entered and is within the visible limit.
+ * - `toast-hide` — {@link ToastVisibilityEventDetail}
+ *    Dispatched when a shown toast is pushed beyond the visible limit.
+ * - `toast-repeat` — {@link ToastRepeatEventDetail}
+ *    Dispatched when a toast is added again with the key of a queued toast.
  * - `toast-action` — {@link ToastActionEventDetail}
  *    Dispatched when a toast action button is clicked.
+ * - `toast-action-error` — {@link ToastActionErrorEventDetail}
+ *    Dispatched when an action handler throws or its promise rejects.
+ * - `history-change` — {@link ToastHistoryChangeEventDetail}
+ *    Dispatched when the history of closed toasts changes.
  * - `activate` — {@link ToastActivateEventDetail}
  *    Dispatched when the queue becomes interaction-active.
  * - `deactivate` — {@link ToastDeactivateEventDetail}
  *    Dispatched when the queue is no longer interaction-active.
- * - `pause` — No detail payload. Dispatched when timers become paused.
- * - `resume` — No detail payload. Dispatched when timers resume.
+ * - `pause` — No detail payload for the queue, {@link ToastPauseEventDetail}
+ *    for a single toast. Dispatched when timers become paused.
+ * - `resume` — No detail payload for the queue, {@link ToastPauseEventDetail}
+ *    for a single toast. Dispatched when timers resume.
+ *
+ * ### Declarative controls
+ *
+ * With the `triggers` option, clicking an element with a `data-toast`
+ * attribute anywhere in the document adds a toast:
+ *
+ * ```html
+ * <button data-toast="Saved" data-toast-type="success" data-toast-duration="3000">Save</button>
+ * ```
+ *
+ * The queue element also handles [Invoker Commands](https://developer.mozilla.org/docs/Web/API/Invoker_Commands_API)
+ * from buttons whose `commandfor` references its `id`: `--toast-add` adds a
+ * toast from the button's `data-toast` attributes, and `--toast-clear`,
+ * `--toast-pause` and `--toast-resume` call the matching methods.
  *
  * @class ToastQueue
  * @param {ToastQueueOptions} [options] - Queue configuration.
@@ -139,27 +623,122 @@ export class ToastQueue {
   /** @type {{
    *   root: HTMLTemplateElement,
    *   item: HTMLTemplateElement,
-   *   actionButton: HTMLTemplateElement
+   *   actionButton: HTMLTemplateElement,
+   *   actionLink: HTMLTemplateElement,
+   *   history: HTMLTemplateElement,
+   *   restoreButton: HTMLTemplateElement
    * }}
    */
   #template = {
     root: document.createElement('template'),
     item: document.createElement('template'),
     actionButton: document.createElement('template'),
+    actionLink: document.createElement('template'),
+    history: document.createElement('template'),
+    restoreButton: document.createElement('template'),
   };
 
+  /** @type {ToastRenderer|undefined} */
+  #render;
+
   /** @type {HTMLElement} */
   #rootPart;
 
   /** @type {HTMLOListElement} */
   #groupPart;
 
+  /**
+   * Groups of toasts added with a `position` other than the queue's, keyed
+   * by position.
+   *
+   * @type {Map<ToastQueuePosition, HTMLOListElement>}
+   */
+  #groups = new Map();
+
+  /** @type {HTMLElement|null} History panel, when enabled. */
+  #historyPart = null;
+
+  /** @type {ToastHistoryEntry[]} Closed toasts, newest first. */
+  #history = [];
+
+  /** @type {number} */
+  #historySize = DEFAULT_HISTORY_SIZE;
+
+  /** @type {ToastStorage|null} Storage for pending toasts, when `persist` is enabled. */
+  #storage = null;
+
+  /** @type {string} */
+  #persistKey = DEFAULT_PERSIST_KEY;
+
+  /** @type {PersistedToast[]} Entries written on the last `pagehide`. */
+  #persistedToasts = [];
+
+  /** @type {BroadcastChannel|null} Channel shared with other tabs, when `channel` is set. */
+  #channel = null;
+
+  /** @type {boolean} Whether a message from another tab is being applied. */
+  #applyingRemote = false;
+
+  /** @type {Set<string>} Identifiers of toasts added from another tab. */
+  #remoteToasts = new Set();
+
+  /** @type {boolean} Whether `data-toast` triggers in the document add toasts. */
+  #triggers = false;
+
+  /** @type {string|undefined} Name under which the queue is registered. */
+  #name;
+
+  /** @type {number} Number of rendered toasts currently marked hidden. */
+  #hiddenCount = 0;
+
+  /** @type {string|undefined} Hotkey that moves focus into the queue and back. */
+  #hotkey;
+
+  /** @type {function(number): string} */
+  #regionLabel = defaultRegionLabel;
+
+  /** @type {Element|null} Element that had focus before the hotkey moved it into the queue. */
+  #returnFocus = null;
+
   /** @type {Map<string, ToastRecord>} */
   #queue = new Map();
 
+  /**
+   * Toasts waiting to be shown in `sequential` mode, in insertion order.
+   *
+   * Backlogged toasts are not rendered and their timers have not started.
+   *
+   * @type {Map<string, ToastRecord>}
+   */
+  #backlog = new Map();
+
+  /** @type {ToastQueueMode} */
+  #mode = DEFAULT_MODE;
+
+  /** @type {ToastQueueOrder} */
+  #order = DEFAULT_ORDER;
+
   /** @type {number} */
+  #sequenceGap = DEFAULT_SEQUENCE_GAP;
+
+  /** @type {number|null} Pending timeout that promotes the next backlogged toast. */
+  #promotionTimeoutId = null;
+
+  /** @type {number|null} Pending animation frame that updates `--tq-progress`. */
+  #progressFrame = null;
+
+  /** @type {ToastDuration} */
   #duration = DEFAULT_DURATION;
 
+  /** @type {Partial<Record<ToastType, ToastDuration>>} */
+  #durations = {};
+
+  /** @type {Required<ToastReadingTime>} */
+  #readingTime = { ...DEFAULT_READING_TIME };
+
+  /** @type {Record<ToastType, string>} */
+  #icons = { ...DEFAULT_ICONS };
+
   /** @type {ToastQueuePosition} */
   #position = DEFAULT_POSITION;
 
@@ -173,12 +752,67 @@ export class ToastQueue {
    */
   #visibleLimit = DEFAULT_VISIBLE_LIMIT;
 
+  /**
+   * Maximum number of toasts kept in the queue.
+   *
+   * @type {number}
+   */
+  #maxSize = DEFAULT_MAX_SIZE;
+
+  /** @type {ToastQueueOverflow} */
+  #overflow = DEFAULT_OVERFLOW;
+
+  /** @type {function(number): ToastContent} */
+  #overflowSummary = defaultOverflowSummary;
+
+  /**
+   * State of the toast that summarizes overflowed toasts, if one is shown.
+   *
+   * @type {{id: string, count: number}|null}
+   */
+  #summary = null;
+
   /** @type {Set<PauseReason>} */
   #pauseReasons = new Set();
 
   /** @type {Set<ActivationReason>} */
   #activationReasons = new Set();
 
+  /** @type {ToastQueueSnapshot|null} Current snapshot, created on demand after each change. */
+  #snapshot = null;
+
+  /** @type {Set<function(): void>} Listeners registered with `subscribe()`. */
+  #listeners = new Set();
+
+  /**
+   * Rate-limiting state for repeat announcements, keyed by toast id.
+   *
+   * @type {Map<string, {time: number, timeoutId: (number|undefined)}>}
+   */
+  #repeatAnnouncements = new Map();
+
+  /**
+   * Visibility of rendered toasts whose entering transition has finished,
+   * keyed by toast id. `true` while the toast is within the visible limit.
+   *
+   * @type {Map<string, boolean>}
+   */
+  #visibility = new Map();
+
+  /**
+   * Pause reasons of individual toasts, keyed by toast id.
+   *
+   * @type {Map<string, Set<ToastPauseReason>>}
+   */
+  #toastPauseReasons = new Map();
+
+  /**
+   * Index of the running async action, keyed by toast identifier.
+   *
+   * @type {Map<string, number>}
+   */
+  #pendingActions = new Map();
+
   /** @type {Swipeable} */
   #swipeable;
 
@@ -189,14 +823,38 @@ export class ToastQueue {
     const templates = options.template ?? {};
 
     this.#duration = options.duration ?? DEFAULT_DURATION;
+    this.#durations = { ...options.durations };
+    this.#readingTime = { ...DEFAULT_READING_TIME, ...options.readingTime };
+    this.#icons = { ...DEFAULT_ICONS, ...options.icons };
     this.#position = options.position ?? DEFAULT_POSITION;
     this.#visibleLimit = Math.max(0, options.visibleLimit ?? DEFAULT_VISIBLE_LIMIT);
+    this.#maxSize = Math.max(1, options.maxSize ?? DEFAULT_MAX_SIZE);
+    this.#overflow = options.overflow ?? DEFAULT_OVERFLOW;
+    this.#overflowSummary = options.overflowSummary ?? defaultOverflowSummary;
+    this.#mode = options.mode ?? DEFAULT_MODE;
+    this.#order = options.order ?? DEFAULT_ORDER;
+    this.#sequenceGap = Math.max(0, options.sequenceGap ?? DEFAULT_SEQUENCE_GAP);
+    this.#historySize = Math.max(0, options.historySize ?? DEFAULT_HISTORY_SIZE);
+    this.#persistKey = options.persistKey ?? DEFAULT_PERSIST_KEY;
+    this.#triggers = options.triggers ?? false;
+    this.#render = options.render;
+    this.#hotkey = options.hotkey;
+    this.#regionLabel = options.regionLabel ?? defaultRegionLabel;
+
+    if (options.persist) {
+      this.#storage = options.persist === true ? sessionStorage : options.persist;
+    }
 
     this.#template.root.innerHTML = templates.root ?? TEMPLATE.root;
     this.#template.item.innerHTML = templates.item ?? TEMPLATE.item;
     this.#template.actionButton.innerHTML = templates.actionButton ?? TEMPLATE.actionButton;
+    this.#template.actionLink.innerHTML = templates.actionLink ?? TEMPLATE.actionLink;
+    this.#template.history.innerHTML = templates.history ?? TEMPLATE.history;
+    this.#template.restoreButton.innerHTML = templates.restoreButton ?? TEMPLATE.restoreButton;
 
     this.#mount(options.root ?? document.body);
+    if (options.historyPanel) this.#mountHistory();
+    if (options.name !== undefined) this.#register(options.name);
     this.#swipeable = new Swipeable({
       root: this.#rootPart,
       onSwipe: ({ target }) => {
@@ -206,50 +864,364 @@ export class ToastQueue {
     });
 
     this.#bindEvents();
-  }
+    this.#hydrate();
+    this.#restorePersisted();
 
-  /* ---------------------------------------------------------------------- */
-  /* Setup                                                                  */
-  /* ---------------------------------------------------------------------- */
+    // Connect after restoring so persisted toasts aren't sent to other tabs again.
+    if (options.channel) this.#connect(options.channel);
+  }
 
   /**
-   * Creates the queue DOM and mounts it into the supplied root element.
+   * Stores a toast to be shown by the next queue created with `persist`,
+   * typically on the next page load.
    *
-   * @param {HTMLElement} root - Element to which the queue is appended.
+   * Nothing is rendered on the current page. Only actions with an `href`
+   * are stored.
+   *
+   * @param {ToastContent} content - Toast message content.
+   * @param {ToastOptions} [options] - Per-toast configuration.
+   * @param {{storage: ToastStorage, key: string}} [persist] - Storage and
+   *   key to write to. Defaults to `sessionStorage` and the default
+   *   `persistKey`.
+   * @returns {void}
+   *
+   * @example
+   * ToastQueue.flash('Signed out.', { type: 'success' });
+   * location.assign('/');
    */
-  #mount(root) {
-    const fragment = this.#template.root.content.cloneNode(true);
-    this.#rootPart = fragment.querySelector(SELECTORS.root);
-    this.#groupPart = fragment.querySelector(SELECTORS.group);
-
-    this.#rootPart.setAttribute('popover', 'manual');
-    this.#rootPart.setAttribute('tabindex', '-1');
-    this.#rootPart.dataset.position = this.#position;
-
-    this.#groupPart.setAttribute('reversed', '');
-
-    root.appendChild(fragment);
+  static flash(
+    content,
+    options = {},
+    { storage = sessionStorage, key = DEFAULT_PERSIST_KEY } = {},
+  ) {
+    writePersistedToasts(storage, key, [
+      ...readPersistedToasts(storage, key),
+      toPersistedToast(content, options),
+    ]);
   }
 
-  /* ---------------------------------------------------------------------- */
-  /* Public API                                                              */
-  /* ---------------------------------------------------------------------- */
-
   /**
-   * Adds a toast notification to the queue.
+   * Registers the options of a named queue, which {@link ToastQueue.get}
+   * uses to create it.
    *
-   * Toasts are added immediately. When the `visibleLimit` is exceeded, additional
-   * toasts remain in the queue but are marked hidden until the visible limit
-   * allows them to be shown.
+   * Registering doesn't create the queue. Options registered after the
+   * queue was created apply once it is destroyed and created again.
    *
-   * Pass a string for a simple message or an object for a title and optional
+   * @param {string} name - Queue name.
+   * @param {ToastQueueOptions} [options] - Queue configuration.
+   * @returns {void}
+   *
+   * @example
+   * ToastQueue.register('undo', { position: 'bottom-center', visibleLimit: 1 });
+   */
+  static register(name, options = {}) {
+    registeredOptions.set(name, options);
+  }
+
+  /**
+   * Returns the queue with a name, creating it with its registered options
+   * on first use.
+   *
+   * Queues created with the `name` option are returned as well.
+   *
+   * @param {string} [name='default'] - Queue name.
+   * @returns {ToastQueue}
+   *
+   * @example
+   * ToastQueue.get('undo').add('Message archived.');
+   */
+  static get(name = DEFAULT_QUEUE_NAME) {
+    return registry.get(name) ?? new ToastQueue({ ...registeredOptions.get(name), name });
+  }
+
+  /**
+   * The queue named `default`, created on first use.
+   *
+   * @readonly
+   * @type {ToastQueue}
+   *
+   * @example
+   * ToastQueue.default.success('Saved.');
+   */
+  static get default() {
+    return ToastQueue.get();
+  }
+
+  /**
+   * Sets how named queues coordinate with each other.
+   *
+   * With a `visibleLimit`, the newest toasts across all named queues are
+   * shown up to that limit, in addition to each queue's own limit. With
+   * `pause`, hovering or focusing one named queue pauses the timers of all
+   * of them.
+   *
+   * @param {ToastQueueCoordination} [options] - Coordination settings.
+   *   Omitted settings are turned off.
+   * @returns {void}
+   *
+   * @example
+   * ToastQueue.coordinate({ visibleLimit: 4, pause: true });
+   */
+  static coordinate({ visibleLimit = Infinity, pause = false } = {}) {
+    coordination.visibleLimit = Math.max(0, visibleLimit);
+    coordination.pause = pause;
+
+    ToastQueue.#syncSharedVisibility();
+    ToastQueue.#syncSharedPause();
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* Setup                                                                  */
+  /* ---------------------------------------------------------------------- */
+
+  /**
+   * Creates the queue DOM and mounts it into the supplied root element.
+   *
+   * An existing `<toast-queue>` element is adopted instead when `root` is
+   * one, or contains one that no other queue manages. It receives a toast
+   * group from the root template unless it already contains one.
+   *
+   * A selector that matches nothing is reported and falls back to
+   * `document.body`.
+   *
+   * @param {HTMLElement|string} root - Element or selector of the element
+   *   to which the queue is appended, or of the `<toast-queue>` to adopt.
+   */
+  #mount(root) {
+    let container = typeof root === 'string' ? document.querySelector(root) : root;
+
+    if (!container) {
+      console.error(`[toast-queue] No root element matches "${root}", using document.body`);
+      container = document.body;
+    }
+    const fragment = this.#template.root.content.cloneNode(true);
+    const adopted = container.matches(SELECTORS.root)
+      ? container
+      : [...container.querySelectorAll(SELECTORS.root)].find((element) => !queues.has(element));
+
+    this.#rootPart = adopted ?? fragment.querySelector(SELECTORS.root);
+    this.#groupPart =
+      this.#rootPart.querySelector(`${SELECTORS.group}:not([data-position])`) ??
+      fragment.querySelector(SELECTORS.group);
+
+    this.#rootPart.setAttribute('popover', 'manual');
+    this.#rootPart.setAttribute('tabindex', '-1');
+    this.#rootPart.setAttribute('role', 'region');
+    this.#rootPart.dataset.position = this.#position;
+    this.#syncRegionLabel();
+
+    this.#groupPart.setAttribute('reversed', '');
+
+    // Register before connecting, so a `<toast-queue>` custom element finds
+    // its queue when it upgrades.
+    queues.set(this.#rootPart, this);
+
+    if (!adopted) {
+      container.appendChild(fragment);
+    } else if (!this.#rootPart.contains(this.#groupPart)) {
+      this.#rootPart.appendChild(this.#groupPart);
+    }
+  }
+
+  /**
+   * Adds the queue to the registry under a name, unless another queue has
+   * it.
+   *
+   * @param {string} name - Queue name.
+   */
+  #register(name) {
+    if (registry.has(name)) {
+      console.error(`[toast-queue] A queue named "${name}" already exists`);
+      return;
+    }
+
+    this.#name = name;
+    registry.set(name, this);
+  }
+
+  /**
+   * Creates the hidden history panel inside the queue root.
+   *
+   * The panel receives a generated `id` unless its template provides one,
+   * so controls outside the queue can reference it with `aria-controls`.
+   */
+  #mountHistory() {
+    const fragment = this.#template.history.content.cloneNode(true);
+    this.#historyPart = fragment.querySelector(SELECTORS.history);
+
+    this.#historyPart.id ||= `tq:${randomId()}:history`;
+    this.#historyPart.hidden = true;
+
+    this.#rootPart.appendChild(fragment);
+  }
+
+  /**
+   * Turns server-rendered items of an adopted `<toast-queue>` into toasts.
+   *
+   * Each `[data-part="item"]` in the groups becomes a {@link ToastRecord}
+   * that keeps its markup. The id, type, key, duration, priority and
+   * dismissible state are read from the item's `data-*` attributes, and the
+   * position from the `data-position` of its group, if any. The toasts are
+   * then shown, timed and announced like added toasts, without an entering
+   * transition.
+   */
+  #hydrate() {
+    for (const group of this.#rootPart.querySelectorAll(`${SELECTORS.group}[data-position]`)) {
+      group.setAttribute('reversed', '');
+      this.#groups.set(group.dataset.position, group);
+    }
+
+    // Items are rendered newest first, while the queue is ordered oldest first.
+    const items = [...this.#rootPart.querySelectorAll(SELECTORS.item)].reverse();
+
+    for (const item of items) {
+      const toast = this.#readItem(item);
+      if (!toast) continue;
+
+      this.#queue.set(toast.id, toast);
+      this.#startTimer(toast);
+    }
+
+    if (this.#queue.size === 0) return;
+
+    this.#emitChange();
+    this.#openPopover();
+    this.#updateWithTransition(undefined, { transition: false });
+
+    for (const toast of this.#queue.values()) {
+      this.#announce(toast);
+      this.#visibility.set(toast.id, false);
+    }
+
+    this.#syncToastVisibility();
+  }
+
+  /**
+   * Creates a toast record from a server-rendered item and applies the
+   * attributes the queue relies on.
+   *
+   * Items without a toast part can't be focused or labelled and are removed.
+   * Without a content part, the toast part's text is used as content.
+   *
+   * @param {HTMLLIElement} item - Existing toast item.
+   * @returns {ToastRecord|null} The toast, or `null` when the item was removed.
+   */
+  #readItem(item) {
+    const toastPart = item.querySelector(SELECTORS.toast);
+
+    if (!toastPart) {
+      console.error('[toast-queue] Removed a server-rendered item without a toast part', item);
+      item.remove();
+      return null;
+    }
+
+    const { id = randomId(), type, key, duration, priority, dismissible } = item.dataset;
+    const position = item.closest(SELECTORS.group)?.dataset.position;
+    const contentPart = item.querySelector(SELECTORS.content);
+    const titlePart = item.querySelector(SELECTORS.title);
+    const title = titlePart?.textContent.trim();
+    const description = item.querySelector(SELECTORS.desc)?.textContent.trim();
+
+    /** @type {ToastRecord} */
+    const toast = {
+      id,
+      key,
+      count: 1,
+      timestamp: Date.now(),
+      type,
+      content: title
+        ? description
+          ? { title, description }
+          : title
+        : (contentPart ?? toastPart).textContent.trim(),
+      actions: [],
+      dismissible: dismissible !== 'false',
+      priority: parsePriority(priority) ?? getDefaultPriority(type),
+      duration: this.#getDuration(type, parseDuration(duration)),
+      position,
+      broadcast: true,
+      timer: undefined,
+      itemRef: item,
+    };
+
+    item.dataset.id = id;
+    item.dataset.dismissible = toast.dismissible;
+    item.style.setProperty('view-transition-name', `tq-item-${id}`);
+    this.#syncItemPosition(item, toast.dismissible, position);
+
+    toastPart.tabIndex = 0;
+
+    const labelPart = title ? titlePart : contentPart;
+
+    if (labelPart && !toastPart.hasAttribute('aria-labelledby')) {
+      labelPart.id ||= `tq:${id}:title`;
+      toastPart.setAttribute('aria-labelledby', labelPart.id);
+    }
+
+    return toast;
+  }
+
+  /**
+   * Adds the toasts persisted by a previous page and removes them from
+   * storage.
+   */
+  #restorePersisted() {
+    if (!this.#storage) return;
+
+    const toasts = readPersistedToasts(this.#storage, this.#persistKey);
+
+    writePersistedToasts(this.#storage, this.#persistKey, []);
+
+    for (const { content, options } of toasts) {
+      this.add(content, options);
+    }
+  }
+
+  /**
+   * Opens the channel used to mirror toasts across tabs.
+   *
+   * @param {string} name - BroadcastChannel name.
+   */
+  #connect(name) {
+    this.#channel = new BroadcastChannel(name);
+    this.#channel.addEventListener('message', this.#onChannelMessage, {
+      signal: this.#controller.signal,
+    });
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* Public API                                                              */
+  /* ---------------------------------------------------------------------- */
+
+  /**
+   * Adds a toast notification to the queue.
+   *
+   * Toasts are added immediately. When the `visibleLimit` is exceeded, additional
+   * toasts remain in the queue but are marked hidden until the visible limit
+   * allows them to be shown.
+   *
+   * In `sequential` mode, toasts beyond the `visibleLimit` are not rendered
+   * at all. They wait in a backlog and are shown, timed and announced once
+   * an earlier toast closes.
+   *
+   * Pass a string for a simple message or an object for a title and optional
    * description.
    *
+   * When `options.key` matches a toast that is still queued, no new toast is
+   * created. The existing toast's timer is restarted, its repeat count is
+   * increased, and the existing record is returned.
+   *
+   * When the queue already holds `maxSize` toasts, the `overflow` strategy
+   * decides what happens: the oldest toasts are closed with the `overflow`
+   * reason, the new toast is rejected and `null` is returned, or the oldest
+   * toasts are folded into a single summary toast.
+   *
    * @fires ToastQueue#toast-add
+   * @fires ToastQueue#toast-repeat
    *
    * @param {ToastContent} content - Toast message content.
    * @param {ToastOptions} [options] - Per-toast configuration.
-   * @returns {ToastRecord} The newly created toast record.
+   * @returns {ToastRecord|null} The newly created toast record, the repeated one, or `null` when the toast was rejected because the queue is full.
    *
    * @example
    * toastQueue.add('Changes saved.');
@@ -270,41 +1242,46 @@ export class ToastQueue {
    *     },
    *   },
    * });
+   *
+   * @example
+   * toastQueue.add('Message archived.', {
+   *   actions: [
+   *     { id: 'undo', label: 'Undo', variant: 'primary', closeOnClick: true, onClick: undo },
+   *     { label: 'Open archive', href: '/archive' },
+   *   ],
+   * });
    */
   add(content, options = {}) {
-    const id = randomId();
-    const duration = options.duration ?? this.#duration;
-
-    /** @type {ToastRecord} */
-    const toast = {
-      id,
-      timestamp: Date.now(),
-      content,
-      className: options.className,
-      icon: options.icon,
-      action: options.action,
-      dismissible: options.dismissible ?? true,
-      priority: options.priority ?? 'normal',
-      onClose: options.onClose,
-      timer: duration > 0 ? new Timer(() => this.close(id, 'timeout'), duration) : undefined,
-      itemRef: null,
-    };
+    return this.#add(content, options);
+  }
 
-    const item = this.#createItem(toast);
+  /**
+   * Adds a toast like {@link ToastQueue#add}, optionally with a given id.
+   *
+   * Only toasts mirrored from another tab keep their id, so ids stay unique
+   * within the queue. Those toasts are not coalesced with a local toast of
+   * the same key, so later `close` and `update` messages still reach them.
+   *
+   * @param {ToastContent} content - Toast message content.
+   * @param {ToastOptions} options - Per-toast configuration.
+   * @param {string} [id] - Identifier of the toast in the tab that added it.
+   * @returns {ToastRecord|null}
+   */
+  #add(content, options, id) {
+    const repeated = id === undefined ? this.#findByKey(options.key) : undefined;
 
-    toast.itemRef = item;
-    this.#queue.set(id, toast);
+    if (repeated) {
+      this.#repeat(repeated);
+      return repeated;
+    }
 
-    // The popover must be open before the entering view transition begins.
-    this.#openPopover();
+    if (!this.#makeRoom()) return null;
 
-    this.#updateWithTransition(() => {
-      this.#groupPart.prepend(item);
-    }).then(() => {
-      this.#announce(toast);
-    });
+    const toast = this.#createToast(content, options, id);
 
-    this.#dispatch('toast-add', { toast });
+    if (toast.broadcast) {
+      this.#broadcast({ type: 'add', id: toast.id, toast: toPersistedToast(content, options) });
+    }
 
     return toast;
   }
@@ -316,106 +1293,473 @@ export class ToastQueue {
    * @returns {ToastRecord|undefined} The matching toast, or `undefined` when no toast with that identifier exists.
    */
   get(id) {
-    return this.#queue.get(id);
+    return this.#queue.get(id) ?? this.#backlog.get(id);
   }
 
   /**
-   * Closes a toast and removes it from the queue.
+   * Updates an existing toast in place.
    *
-   * Closing a toast also cancels its auto-dismiss timer and updates queue state.
-   * If the toast has an `onClose` callback, it is invoked after the queue has
-   * been updated.
+   * Only the properties present in `patch` are changed. The toast keeps its
+   * item element and view transition name, so no exit or enter transition is
+   * played. Patching `content`, `duration` or `type` restarts the
+   * auto-dismiss timer with the toast's duration.
    *
-   * @fires ToastQueue#toast-close
+   * @fires ToastQueue#toast-update
    *
    * @param {string} id - Toast identifier.
-   * @param {CloseReason} [reason='manual'] - Reason the toast was closed.
-   * @returns {void}
+   * @param {ToastUpdate} patch - Properties to change.
+   * @returns {ToastRecord|undefined} The updated toast, or `undefined` when no toast with that identifier exists.
+   *
+   * @example
+   * const toast = toastQueue.add('Uploading…', { duration: 0 });
+   *
+   * await upload(file);
+   *
+   * toastQueue.update(toast.id, {
+   *   content: 'Uploaded.',
+   *   duration: 3000,
+   * });
    */
-  close(id, reason = 'manual') {
-    const toast = this.#queue.get(id);
+  update(id, patch = {}) {
+    const toast = this.get(id);
     if (!toast) return;
 
-    this.#queue.delete(id);
-    toast.timer?.clear();
-    this.#moveFocusAfterClose(toast);
+    const { announce = Object.hasOwn(patch, 'content'), ...changes } = patch;
 
-    const isEmpty = this.#queue.size === 0;
-    const skipTransition = toast.itemRef.hasAttribute('data-hidden');
+    if (Object.hasOwn(changes, 'action') || Object.hasOwn(changes, 'actions')) {
+      changes.actions = normalizeActions(changes);
+    }
 
-    if (isEmpty) {
-      this.#clearActivation({ transition: false });
+    for (const key of UPDATABLE_PROPERTIES) {
+      if (Object.hasOwn(changes, key)) toast[key] = changes[key];
     }
 
-    this.#updateWithTransition(
-      () => {
-        toast.itemRef.remove();
-      },
-      { transition: !skipTransition },
-    ).finally(() => {
-      // Close only after the visual removal has completed, and only if the queue is still empty.
-      if (this.#queue.size === 0) {
-        this.#closePopover();
+    // A new type brings its own default priority and duration.
+    if (Object.hasOwn(changes, 'type')) {
+      if (!Object.hasOwn(changes, 'priority')) toast.priority = undefined;
+      if (!Object.hasOwn(changes, 'duration')) toast.duration = undefined;
+    }
+
+    // Fall back to the same defaults `add()` uses when a property is unset.
+    toast.dismissible = toast.dismissible ?? true;
+    toast.priority = toast.priority ?? getDefaultPriority(toast.type);
+    toast.duration = this.#getDuration(toast.type, toast.duration);
+
+    // Backlogged toasts are rendered, timed and announced once they are shown.
+    if (toast.itemRef) {
+      this.#patchItem(toast);
+
+      // 'auto' durations also depend on whether the toast has actions.
+      const timingKeys = ['content', 'duration', 'type'];
+      if (toast.duration === 'auto') timingKeys.push('actions');
+
+      if (timingKeys.some((key) => Object.hasOwn(changes, key))) {
+        toast.timer?.clear();
+        this.#startTimer(toast);
       }
-    });
 
-    this.#dispatch('toast-close', { toast, reason });
+      if (announce) {
+        this.#announce(toast);
+      }
 
-    // Run after internal cleanup so a throwing consumer callback can't leave
-    // the DOM/popover out of sync with `#queue`.
-    try {
-      toast.onClose?.(toast);
-    } catch (error) {
-      console.error('[toast-queue] onClose callback threw', error);
+      if (this.#order === 'priority' && Object.hasOwn(changes, 'priority')) {
+        this.#updateWithTransition();
+      }
+    }
+
+    this.#emitChange();
+    this.#dispatch('toast-update', { toast });
+
+    if (toast.broadcast) {
+      this.#broadcast({ type: 'update', id, patch: toPersistedUpdate({ ...changes, announce }) });
     }
+
+    return toast;
   }
 
   /**
-   * Closes all toasts and clears the queue.
+   * Shows a loading toast for a promise and updates it once the promise
+   * settles.
    *
-   * All auto-dismiss timers are cancelled and the queue is reset to its empty
-   * state. Individual `onClose` callbacks are not invoked.
+   * The loading toast has the `loading` type, does not expire and is not
+   * dismissible unless `options.dismissible` is set. When the promise
+   * settles, the toast switches to the `success` or `error` type and content,
+   * becomes dismissible, and its auto-dismiss timer starts with
+   * `options.duration` or the default duration for that type. When the
+   * matching content is omitted, the toast is closed instead.
    *
-   * @returns {void}
+   * @fires ToastQueue#toast-add
+   * @fires ToastQueue#toast-update
+   *
+   * @template T
+   * @param {Promise<T>} promise - Promise to track.
+   * @param {ToastPromiseMessages<T>} messages - Content for each promise state.
+   * @param {ToastOptions} [options] - Per-toast configuration.
+   * @returns {Promise<T>} The original promise.
+   *
+   * @example
+   * toastQueue.promise(saveProfile(), {
+   *   loading: 'Saving…',
+   *   success: 'Profile saved.',
+   *   error: (error) => ({ title: 'Could not save', description: error.message }),
+   * });
    */
-  clear() {
-    this.#clearActivation();
-    this.#clearQueue();
-    this.#updateWithTransition(() => {
-      this.#groupPart.replaceChildren();
-    }).finally(() => {
-      if (this.#queue.size === 0) {
-        this.#closePopover();
-      }
+  promise(promise, { loading, success, error }, options = {}) {
+    const toast = this.add(loading, {
+      ...options,
+      type: 'loading',
+      dismissible: options.dismissible ?? false,
     });
+
+    if (!toast) return promise;
+
+    Promise.resolve(promise).then(
+      (value) => this.#settlePromiseToast(toast.id, 'success', success, value, options),
+      (reason) => this.#settlePromiseToast(toast.id, 'error', error, reason, options),
+    );
+
+    return promise;
   }
 
   /**
-   * Manually pauses all toast auto-dismiss timers.
+   * Adds a `success` toast.
    *
-   * The manual pause remains active until {@link ToastQueue#resume} is called.
-   * Other pause reasons, such as hover or document visibility, are independent.
+   * @fires ToastQueue#toast-add
    *
-   * @fires ToastQueue#pause
-   * @returns {void}
-   */
-  pause() {
-    this.#setPauseReason('manual', true);
-  }
+   * @param {ToastContent} content - Toast message content.
+   * @param {ToastOptions} [options] - Per-toast configuration.
+   * @returns {ToastRecord|null} The toast record, or `null` when the toast was rejected because the queue is full.
+   *
+   * @example
+   * toastQueue.success('Changes saved.');
+   */
+  success(content, options = {}) {
+    return this.add(content, { ...options, type: 'success' });
+  }
+
+  /**
+   * Adds an `error` toast.
+   *
+   * Error toasts are announced with `high` priority by default.
+   *
+   * @fires ToastQueue#toast-add
+   *
+   * @param {ToastContent} content - Toast message content.
+   * @param {ToastOptions} [options] - Per-toast configuration.
+   * @returns {ToastRecord|null} The toast record, or `null` when the toast was rejected because the queue is full.
+   */
+  error(content, options = {}) {
+    return this.add(content, { ...options, type: 'error' });
+  }
+
+  /**
+   * Adds a `warning` toast.
+   *
+   * @fires ToastQueue#toast-add
+   *
+   * @param {ToastContent} content - Toast message content.
+   * @param {ToastOptions} [options] - Per-toast configuration.
+   * @returns {ToastRecord|null} The toast record, or `null` when the toast was rejected because the queue is full.
+   */
+  warning(content, options = {}) {
+    return this.add(content, { ...options, type: 'warning' });
+  }
+
+  /**
+   * Adds an `info` toast.
+   *
+   * @fires ToastQueue#toast-add
+   *
+   * @param {ToastContent} content - Toast message content.
+   * @param {ToastOptions} [options] - Per-toast configuration.
+   * @returns {ToastRecord|null} The toast record, or `null` when the toast was rejected because the queue is full.
+   */
+  info(content, options = {}) {
+    return this.add(content, { ...options, type: 'info' });
+  }
+
+  /**
+   * Adds a `loading` toast.
+   *
+   * Loading toasts render a spinner and never expire on their own. Use
+   * {@link ToastQueue#update} to change their type once the work is done, or
+   * {@link ToastQueue#close} to remove them.
+   *
+   * @fires ToastQueue#toast-add
+   *
+   * @param {ToastContent} content - Toast message content.
+   * @param {ToastOptions} [options] - Per-toast configuration.
+   * @returns {ToastRecord|null} The toast record, or `null` when the toast was rejected because the queue is full.
+   */
+  loading(content, options = {}) {
+    return this.add(content, { ...options, type: 'loading' });
+  }
+
+  /**
+   * Closes a toast and removes it from the queue.
+   *
+   * Closing a toast also cancels its auto-dismiss timer and updates queue state.
+   * If the toast has an `onClose` callback, it is invoked after the queue has
+   * been updated.
+   *
+   * @fires ToastQueue#toast-close
+   *
+   * @param {string} id - Toast identifier.
+   * @param {CloseReason} [reason='manual'] - Reason the toast was closed.
+   * @returns {void}
+   */
+  close(id, reason = 'manual') {
+    const toast = this.get(id);
+    if (!toast) return;
+
+    if (this.#summary?.id === id) {
+      this.#summary = null;
+    }
+
+    if (this.#backlog.has(id)) {
+      // Backlogged toasts were never rendered, so there is nothing to remove.
+      this.#backlog.delete(id);
+      this.#emitChange();
+    } else {
+      this.#unmountToast(toast);
+      this.#schedulePromotion();
+    }
+
+    this.#dispatch('toast-close', { toast, reason });
+    this.#addToHistory(toast, reason);
+
+    // Only the tab that added a toast mirrors its timeout, so copies whose
+    // timers were paused longer don't close it early everywhere else.
+    const remote = this.#remoteToasts.delete(id);
+
+    if (
+      toast.broadcast &&
+      !LOCAL_CLOSE_REASONS.includes(reason) &&
+      !(remote && reason === 'timeout')
+    ) {
+      this.#broadcast({ type: 'close', id });
+    }
+
+    // Run after internal cleanup so a throwing consumer callback can't leave
+    // the DOM/popover out of sync with `#queue`.
+    try {
+      toast.onClose?.(toast);
+    } catch (error) {
+      console.error('[toast-queue] onClose callback threw', error);
+    }
+  }
+
+  /**
+   * Closes all toasts and clears the queue.
+   *
+   * All auto-dismiss timers are cancelled and the queue is reset to its empty
+   * state. Individual `onClose` callbacks are not invoked.
+   *
+   * @returns {void}
+   */
+  clear() {
+    this.#clearActivation();
+    this.#clearQueue();
+    this.#emitChange();
+    this.#updateWithTransition(() => {
+      this.#groupPart.replaceChildren();
+
+      for (const group of this.#groups.values()) {
+        group.remove();
+      }
+
+      this.#groups.clear();
+    }).finally(() => {
+      if (this.#queue.size === 0) {
+        this.#closePopover();
+      }
+    });
+  }
+
+  /**
+   * Manually pauses all toast auto-dismiss timers, or the timer of a single
+   * toast when an identifier is passed.
+   *
+   * The manual pause remains active until {@link ToastQueue#resume} is called
+   * with the same argument. Other pause reasons, such as hover or document
+   * visibility, are independent.
+   *
+   * @fires ToastQueue#pause
+   * @param {string} [id] - Toast identifier. Pauses the whole queue when omitted.
+   * @returns {void}
+   */
+  pause(id) {
+    if (id === undefined) {
+      this.#setPauseReason('manual', true);
+    } else {
+      this.#setToastPauseReason(id, 'manual', true);
+    }
+  }
 
   /**
-   * Removes the queue's manual pause.
+   * Removes the queue's manual pause, or the manual pause of a single toast
+   * when an identifier is passed.
    *
    * Auto-dismiss timers remain paused while another pause reason is active,
-   * such as hover, focus, or document visibility.
+   * such as hover, focus, document visibility, or a pinned toast.
+   *
+   * @fires ToastQueue#resume
+   * @param {string} [id] - Toast identifier. Resumes the whole queue when omitted.
+   * @returns {void}
+   */
+  resume(id) {
+    if (id === undefined) {
+      this.#setPauseReason('manual', false);
+    } else {
+      this.#setToastPauseReason(id, 'manual', false);
+    }
+  }
+
+  /**
+   * Pins a toast so it stays on screen until it is unpinned or closed.
+   *
+   * Pinning pauses the toast's auto-dismiss timer and sets `data-pinned` on
+   * its item. Elements with `data-command="pin"` inside the item toggle the
+   * pin and reflect it through `aria-pressed`.
+   *
+   * @fires ToastQueue#pause
+   * @param {string} id - Toast identifier.
+   * @returns {void}
+   */
+  pin(id) {
+    this.#setToastPauseReason(id, 'pin', true);
+  }
+
+  /**
+   * Unpins a toast and lets its auto-dismiss timer continue.
    *
    * @fires ToastQueue#resume
+   * @param {string} id - Toast identifier.
+   * @returns {void}
+   */
+  unpin(id) {
+    this.#setToastPauseReason(id, 'pin', false);
+  }
+
+  /**
+   * Adds a toast from the history back to the queue.
+   *
+   * The entry is removed from the history and a new toast with the same
+   * content and options is added. `onClose` callbacks are not restored.
+   *
+   * @fires ToastQueue#history-change
+   *
+   * @param {string} id - Identifier of the closed toast.
+   * @returns {ToastRecord|null|undefined} The new toast, `null` when the
+   *   queue rejected it, or `undefined` when the history has no such entry.
+   */
+  restore(id) {
+    const index = this.#history.findIndex((entry) => entry.id === id);
+    if (index === -1) return;
+
+    const [entry] = this.#history.splice(index, 1);
+    this.#syncHistory();
+
+    return this.add(entry.content, {
+      type: entry.type,
+      key: entry.key,
+      icon: entry.icon,
+      actions: entry.actions,
+      priority: entry.priority,
+      duration: entry.duration,
+      className: entry.className,
+      dismissible: entry.dismissible,
+      announcement: entry.announcement,
+      position: entry.position,
+    });
+  }
+
+  /**
+   * Removes all entries from the history.
+   *
+   * @fires ToastQueue#history-change
+   *
    * @returns {void}
    */
-  resume() {
-    this.#setPauseReason('manual', false);
+  clearHistory() {
+    if (this.#history.length === 0) return;
+
+    this.#history = [];
+    this.#syncHistory();
+  }
+
+  /**
+   * Opens or closes the history panel.
+   *
+   * Requires the `historyPanel` option. Elements with
+   * `data-command="history"` inside the queue toggle the panel, as do
+   * elements elsewhere in the document whose `aria-controls` references the
+   * panel's `id`. Their `aria-expanded` state is kept in sync.
+   *
+   * The panel lists closed toasts from the item template with their relative
+   * close time and a restore button. Relative times are refreshed whenever
+   * the panel opens or the history changes.
+   *
+   * @param {boolean} [force] - `true` to open, `false` to close. Toggles
+   *   when omitted.
+   * @returns {boolean} Whether the panel is open.
+   */
+  toggleHistory(force) {
+    if (!this.#historyPart) return false;
+
+    const open = force ?? this.#historyPart.hidden;
+
+    this.#historyPart.hidden = !open;
+    this.#syncHistoryControls();
+
+    if (open) {
+      this.#renderHistory();
+      this.#openPopover();
+    } else if (this.#queue.size === 0) {
+      this.#closePopover();
+    }
+
+    return open;
   }
 
+  /**
+   * Registers a listener that is called whenever the queue state changes.
+   *
+   * Read the new state with {@link ToastQueue#getSnapshot}. Together, both
+   * methods can be passed to React's `useSyncExternalStore()` or wrapped in
+   * a Vue ref or Svelte store. Both are bound to the queue.
+   *
+   * @method
+   * @param {function(): void} listener - Called after each state change.
+   * @returns {function(): void} Removes the listener.
+   *
+   * @example
+   * const state = useSyncExternalStore(toastQueue.subscribe, toastQueue.getSnapshot);
+   */
+  subscribe = (listener) => {
+    this.#listeners.add(listener);
+
+    return () => {
+      this.#listeners.delete(listener);
+    };
+  };
+
+  /**
+   * Returns an immutable snapshot of the queue state.
+   *
+   * The same snapshot is returned until the state changes, so snapshots can
+   * be compared by reference. Toasts are listed oldest first, followed by
+   * toasts waiting in the `sequential` backlog.
+   *
+   * @method
+   * @returns {ToastQueueSnapshot}
+   */
+  getSnapshot = () => {
+    this.#snapshot ??= this.#createSnapshot();
+
+    return this.#snapshot;
+  };
+
   /**
    * Permanently destroys the queue instance.
    *
@@ -427,9 +1771,25 @@ export class ToastQueue {
    * @returns {void}
    */
   destroy() {
+    queues.delete(this.#rootPart);
+
+    if (this.#isRegistered) {
+      registry.delete(this.#name);
+      ToastQueue.#syncSharedVisibility();
+      ToastQueue.#syncSharedPause();
+    }
+
     this.#controller.abort();
+    this.#channel?.close();
     this.#clearQueue();
+    this.#listeners.clear();
     this.#rootPart.remove();
+
+    if (this.#progressFrame !== null) {
+      cancelAnimationFrame(this.#progressFrame);
+      this.#progressFrame = null;
+    }
+
     this.#swipeable.destroy();
   }
 
@@ -451,13 +1811,27 @@ export class ToastQueue {
   }
 
   /**
-   * The number of toasts currently in the queue.
+   * The number of toasts currently in the queue, including toasts waiting
+   * in the `sequential` backlog.
    *
    * @readonly
    * @type {number}
    */
   get size() {
-    return this.#queue.size;
+    return this.#queue.size + this.#backlog.size;
+  }
+
+  /**
+   * Recently closed toasts, newest first.
+   *
+   * Holds up to `historySize` entries. Toasts removed with `clear()` are not
+   * recorded.
+   *
+   * @readonly
+   * @type {ToastHistoryEntry[]}
+   */
+  get history() {
+    return [...this.#history];
   }
 
   /**
@@ -473,6 +1847,7 @@ export class ToastQueue {
    * - `bottom-end`
    *
    * Changing the position updates the queue and existing toasts in place.
+   * Toasts added with their own `position` keep it.
    *
    * @type {ToastQueuePosition}
    */
@@ -485,14 +1860,36 @@ export class ToastQueue {
 
     this.#position = value;
     for (const toast of this.#queue.values()) {
-      this.#syncItemPosition(toast.itemRef, toast.dismissible);
+      this.#syncItemPosition(toast.itemRef, toast.dismissible, toast.position);
     }
 
     wrapInViewTransition(() => {
       this.#rootPart.dataset.position = value;
+
+      // Toasts move between the main group and their own position's group.
+      this.#sortItems();
+      this.#removeEmptyGroups();
+      this.#syncVisibleLimitState();
     });
   }
 
+  /**
+   * Gets or sets the default auto-dismiss duration in milliseconds.
+   *
+   * Use `0` to disable automatic dismissal or `'auto'` to derive the
+   * duration from each toast's text. Changing the duration applies to toasts
+   * added afterwards.
+   *
+   * @type {ToastDuration}
+   */
+  get duration() {
+    return this.#duration;
+  }
+
+  set duration(value) {
+    this.#duration = value;
+  }
+
   /**
    * Gets or sets the number of toasts considered visible.
    *
@@ -514,6 +1911,8 @@ export class ToastQueue {
 
     this.#visibleLimit = next;
     wrapInViewTransition(() => this.#syncVisibleLimitState(), this.#rootPart);
+    this.#promote();
+    this.#emitChange();
   }
 
   /* ---------------------------------------------------------------------- */
@@ -526,11 +1925,22 @@ export class ToastQueue {
     document.addEventListener('visibilitychange', this.#onVisibility, { signal });
     document.addEventListener('pointerdown', this.#onOutsidePointer, { signal });
     document.addEventListener('pointermove', this.#onPointerMove, { signal, passive: true });
+    document.addEventListener('click', this.#onDocumentClick, { signal });
+
+    if (this.#storage) {
+      window.addEventListener('pagehide', this.#onPageHide, { signal });
+      window.addEventListener('pageshow', this.#onPageShow, { signal });
+    }
 
     this.#rootPart.addEventListener('click', this.#onClick, { signal });
+    this.#rootPart.addEventListener('command', this.#onCommand, { signal });
     this.#rootPart.addEventListener('focusin', this.#onFocusIn, { signal });
     this.#rootPart.addEventListener('focusout', this.#onFocusOut, { signal });
     this.#rootPart.addEventListener('keydown', this.#onKeydown, { signal });
+
+    if (this.#hotkey) {
+      document.addEventListener('keydown', this.#onDocumentKeydown, { signal });
+    }
   }
 
   #onPointerMove = (event) => {
@@ -564,11 +1974,119 @@ export class ToastQueue {
 
     queueMicrotask(() => {
       if (!this.#rootPart.contains(document.activeElement)) {
+        this.#returnFocus = null;
         this.#deactivate('focus');
       }
     });
   };
 
+  /**
+   * Handles controls outside the queue: `data-toast` triggers when the
+   * `triggers` option is set, and `data-command="history"` controls that
+   * reference the history panel with `aria-controls`.
+   *
+   * @param {MouseEvent} event
+   */
+  #onDocumentClick = (event) => {
+    const target = event.target instanceof Element ? event.target : null;
+    const trigger = this.#triggers ? target?.closest('[data-toast]') : null;
+
+    // Triggers that are also invokers are handled by `#onCommand`.
+    if (trigger && !trigger.hasAttribute('command')) {
+      this.#runCommand('add', trigger);
+      return;
+    }
+
+    if (!this.#historyPart) return;
+
+    const control = target?.closest('[data-command="history"]');
+
+    if (control?.getAttribute('aria-controls') !== this.#historyPart.id) return;
+
+    this.toggleHistory();
+  };
+
+  /**
+   * Persists pending toasts with their remaining time when the page is left.
+   *
+   * Toasts stored with {@link ToastQueue.flash} are kept. Loading toasts are
+   * skipped because their promise can't outlive the page.
+   */
+  #onPageHide = () => {
+    const pending = [...this.#queue.values(), ...this.#backlog.values()]
+      .filter((toast) => toast.type !== 'loading')
+      .map((toast) =>
+        toPersistedToast(toast.content, {
+          ...toast,
+          duration: toast.timer ? Math.max(1, toast.timer.remaining) : toast.duration,
+        }),
+      );
+
+    this.#persistedToasts = pending;
+
+    writePersistedToasts(this.#storage, this.#persistKey, [
+      ...readPersistedToasts(this.#storage, this.#persistKey),
+      ...pending,
+    ]);
+  };
+
+  /**
+   * Removes the entries written on `pagehide` when the page is restored from
+   * the back/forward cache.
+   *
+   * The restored queue still shows those toasts, so leaving the entries would
+   * duplicate them on the next page. Entries written by other queues are kept.
+   *
+   * @param {PageTransitionEvent} event
+   */
+  #onPageShow = (event) => {
+    if (!event.persisted || this.#persistedToasts.length === 0) return;
+
+    const written = this.#persistedToasts.map((toast) => JSON.stringify(toast));
+
+    this.#persistedToasts = [];
+
+    writePersistedToasts(
+      this.#storage,
+      this.#persistKey,
+      readPersistedToasts(this.#storage, this.#persistKey).filter((toast) => {
+        const index = written.indexOf(JSON.stringify(toast));
+
+        if (index === -1) return true;
+
+        written.splice(index, 1);
+        return false;
+      }),
+    );
+  };
+
+  /**
+   * Applies a toast added, updated or closed in another tab.
+   *
+   * Changes applied here are not sent back to the channel, and adds for ids
+   * that are already queued are ignored, so messages can't loop between
+   * tabs.
+   *
+   * @param {MessageEvent<ToastChannelMessage>} event
+   */
+  #onChannelMessage = ({ data }) => {
+    this.#applyingRemote = true;
+
+    try {
+      if (data?.type === 'add' && !this.get(data.id)) {
+        if (this.#add(data.toast.content, data.toast.options, data.id)) {
+          this.#remoteToasts.add(data.id);
+        }
+      } else if (data?.type === 'update') {
+        this.update(data.id, data.patch);
+      } else if (data?.type === 'close') {
+        this.close(data.id, 'remote');
+      }
+    } finally {
+      this.#applyingRemote = false;
+    }
+  };
+
   /** @param {PointerEvent} event */
   #onOutsidePointer = (event) => {
     if (!this.#isActive) return;
@@ -586,6 +2104,20 @@ export class ToastQueue {
     if (event.key !== 'Escape') return;
 
     const target = event.target instanceof Element ? event.target : null;
+
+    if (this.#historyPart?.contains(target)) {
+      event.stopPropagation();
+      this.toggleHistory(false);
+      return;
+    }
+
+    // After jumping in with the hotkey, Escape leaves the queue instead.
+    if (this.#returnFocus) {
+      event.stopPropagation();
+      this.#restoreFocus();
+      return;
+    }
+
     const item = target?.closest(SELECTORS.item);
     const id = item?.dataset.id;
 
@@ -598,18 +2130,70 @@ export class ToastQueue {
     this.close(id, 'escape');
   };
 
-  /** @param {MouseEvent} event */
-  #onClick = (event) => {
-    const target = event.target instanceof Element ? event.target : null;
-    const commandTarget = target?.closest(SELECTORS.command);
-    const command = commandTarget?.dataset.command;
-    const item = commandTarget?.closest(SELECTORS.item);
-    const id = item?.dataset.id;
-
+  /**
+   * Moves focus to the newest shown toast when the hotkey is pressed, and
+   * back to the previously focused element when it is pressed again.
+   *
+   * @param {KeyboardEvent} event
+   */
+  #onDocumentKeydown = (event) => {
+    if (!matchesHotkey(event, this.#hotkey)) return;
+
+    if (this.#rootPart.contains(document.activeElement)) {
+      event.preventDefault();
+      this.#restoreFocus();
+      return;
+    }
+
+    const toast = [...this.#queue.values()]
+      .reverse()
+      .find((toast) => toast.itemRef.isConnected && !toast.itemRef.hasAttribute('data-hidden'));
+
+    if (!toast) return;
+
+    event.preventDefault();
+    this.#returnFocus = document.activeElement;
+    toast.itemRef.querySelector(SELECTORS.toast).focus();
+  };
+
+  /** @param {MouseEvent} event */
+  #onClick = (event) => {
+    const target = event.target instanceof Element ? event.target : null;
+    const commandTarget = target?.closest(SELECTORS.command);
+
     if (commandTarget) {
       event.stopPropagation();
     }
 
+    this.#runCommand(commandTarget?.dataset.command, commandTarget);
+  };
+
+  /**
+   * Handles Invoker Commands sent to the queue element, e.g. by
+   * `<button commandfor="toasts" command="--toast-add">`.
+   *
+   * @param {CommandEvent} event
+   */
+  #onCommand = (event) => {
+    const command = INVOKER_COMMANDS[event.command];
+
+    if (command) this.#runCommand(command, event.source);
+  };
+
+  /**
+   * Runs a built-in command.
+   *
+   * Commands are issued by `data-command` controls inside the queue,
+   * `data-toast` triggers and Invoker Commands. The queue is activated when
+   * a click inside it has no command.
+   *
+   * @param {string|undefined} command - Command name.
+   * @param {Element|null} commandTarget - Element that issued the command.
+   */
+  #runCommand(command, commandTarget) {
+    const item = commandTarget?.closest(SELECTORS.item);
+    const id = item?.dataset.id;
+
     switch (command) {
       case 'close': {
         this.close(id, 'button');
@@ -619,13 +2203,25 @@ export class ToastQueue {
 
       case 'action': {
         const toast = this.#queue.get(id);
+        const index = Number(commandTarget.dataset.actionIndex ?? 0);
+        const action = toast?.actions[index];
+
+        // Ignore clicks while a previous async action is still running.
+        if (!action || this.#pendingActions.has(id)) break;
 
-        this.#dispatch('toast-action', { toast });
+        this.#dispatch('toast-action', { toast, action, index });
+        this.#runAction(toast, action, index);
 
-        try {
-          toast?.action?.onClick?.(toast);
-        } catch (error) {
-          console.error('[toast-queue] action onClick callback threw', error);
+        break;
+      }
+
+      case 'pin': {
+        if (!id) break;
+
+        if (this.#toastPauseReasons.get(id)?.has('pin')) {
+          this.unpin(id);
+        } else {
+          this.pin(id);
         }
 
         break;
@@ -635,10 +2231,138 @@ export class ToastQueue {
         this.clear();
         break;
 
+      case 'history':
+        this.toggleHistory();
+        break;
+
+      case 'restore':
+        this.restore(commandTarget.closest(SELECTORS.historyItem)?.dataset.id);
+        break;
+
+      case 'add': {
+        if (commandTarget?.dataset.toast === undefined) break;
+
+        const { content, options } = readToastTrigger(commandTarget);
+        this.add(content, options);
+
+        break;
+      }
+
+      case 'pause':
+        this.pause(id);
+        break;
+
+      case 'resume':
+        this.resume(id);
+        break;
+
       default:
         this.#activate('click');
     }
-  };
+  }
+
+  /**
+   * Runs a toast action's click handler.
+   *
+   * When the handler returns a promise, the action button is marked busy, the
+   * toast's timer is paused and the item receives `data-pending` until the
+   * promise settles. A resolved promise closes the toast unless the action
+   * sets `closeOnClick: false`. Synchronous handlers close the toast only
+   * when `closeOnClick` is `true`.
+   *
+   * @fires ToastQueue#toast-action-error
+   *
+   * @param {ToastRecord} toast - Toast that owns the action.
+   * @param {ToastAction} action - Clicked action.
+   * @param {number} index - Index of the action.
+   */
+  #runAction(toast, action, index) {
+    let result;
+
+    try {
+      result = action.onClick?.(toast);
+    } catch (error) {
+      this.#failAction(toast, action, index, error);
+      return;
+    }
+
+    if (typeof result?.then !== 'function') {
+      if (action.closeOnClick) this.close(toast.id, 'action');
+      return;
+    }
+
+    this.#setActionPending(toast, index, true);
+
+    Promise.resolve(result).then(
+      () => {
+        this.#setActionPending(toast, index, false);
+        if (action.closeOnClick !== false) this.close(toast.id, 'action');
+      },
+      (error) => {
+        this.#setActionPending(toast, index, false);
+        this.#failAction(toast, action, index, error);
+      },
+    );
+  }
+
+  /**
+   * Reports a failed action handler.
+   *
+   * @param {ToastRecord} toast
+   * @param {ToastAction} action
+   * @param {number} index
+   * @param {unknown} error
+   */
+  #failAction(toast, action, index, error) {
+    console.error('[toast-queue] action onClick callback threw', error);
+
+    this.#dispatch('toast-action-error', { toast, action, index, error });
+  }
+
+  /**
+   * Toggles the busy state of a toast whose async action is running.
+   *
+   * The button is looked up by its `data-action-index` because an update may
+   * have re-rendered the item while the handler was running. Repeated clicks
+   * are ignored through `#pendingActions`.
+   *
+   * @param {ToastRecord} toast
+   * @param {number} index
+   * @param {boolean} pending
+   */
+  #setActionPending(toast, index, pending) {
+    if (pending) {
+      this.#pendingActions.set(toast.id, index);
+    } else {
+      this.#pendingActions.delete(toast.id);
+    }
+
+    const button = toast.itemRef?.querySelector(`[data-action-index="${index}"]`);
+    if (button) this.#setActionBusy(button, pending);
+
+    toast.itemRef?.toggleAttribute('data-pending', pending);
+
+    this.#syncTimer(toast);
+  }
+
+  /**
+   * Toggles the busy attributes of an action button.
+   *
+   * The button uses `aria-disabled` rather than `disabled` so it keeps focus
+   * while busy.
+   *
+   * @param {HTMLElement} button
+   * @param {boolean} busy
+   */
+  #setActionBusy(button, busy) {
+    if (busy) {
+      button.setAttribute('aria-busy', 'true');
+      button.setAttribute('aria-disabled', 'true');
+    } else {
+      button.removeAttribute('aria-busy');
+      button.removeAttribute('aria-disabled');
+    }
+  }
 
   /**
    * Dispatches a custom queue event from the root element.
@@ -655,151 +2379,1050 @@ export class ToastQueue {
     );
   }
 
+  /**
+   * Discards the current snapshot and notifies `subscribe()` listeners.
+   */
+  #emitChange() {
+    this.#snapshot = null;
+    this.#syncRegionLabel();
+
+    for (const listener of [...this.#listeners]) {
+      try {
+        listener();
+      } catch (error) {
+        console.error('[toast-queue] Subscriber threw', error);
+      }
+    }
+  }
+
+  /**
+   * Creates an immutable snapshot of the current queue state.
+   *
+   * @returns {ToastQueueSnapshot}
+   */
+  #createSnapshot() {
+    const toState = (toast, queued) => {
+      const reasons = this.#toastPauseReasons.get(toast.id);
+
+      return toToastState(toast, {
+        position: toast.position ?? this.#position,
+        queued,
+        paused: reasons !== undefined,
+        pinned: reasons?.has('pin') ?? false,
+      });
+    };
+
+    return Object.freeze({
+      toasts: Object.freeze([
+        ...[...this.#queue.values()].map((toast) => toState(toast, false)),
+        ...[...this.#backlog.values()].map((toast) => toState(toast, true)),
+      ]),
+      paused: this.#pauseReasons.size > 0,
+      active: this.#isActive,
+      hiddenCount: this.#hiddenCount,
+    });
+  }
+
   /* ---------------------------------------------------------------------- */
   /* Activation                                                             */
   /* ---------------------------------------------------------------------- */
 
-  /** @returns {boolean} Whether the queue is currently interaction-active. */
-  get #isActive() {
-    return this.#activationReasons.size > 0;
-  }
+  /** @returns {boolean} Whether the queue is currently interaction-active. */
+  get #isActive() {
+    return this.#activationReasons.size > 0;
+  }
+
+  #setActivation(reason, active, transition = true) {
+    const wasActive = this.#isActive;
+
+    if (active) {
+      if (this.#activationReasons.has(reason)) return;
+
+      this.#activationReasons.add(reason);
+      this.#setPauseReason(reason, true);
+    } else {
+      if (!this.#activationReasons.has(reason)) return;
+
+      this.#activationReasons.delete(reason);
+      this.#setPauseReason(reason, false);
+    }
+
+    if (wasActive === this.#isActive) return;
+
+    this.#emitChange();
+
+    if (transition) {
+      this.#syncActivationState();
+    } else {
+      this.#rootPart.toggleAttribute('data-active', this.#isActive);
+    }
+
+    if (this.#isActive) {
+      this.#dispatch('activate', {
+        reason,
+        reasons: [...this.#activationReasons],
+      });
+    } else {
+      this.#dispatch('deactivate', { reason });
+    }
+  }
+
+  /**
+   * Activates the queue for the given interaction reason.
+   *
+   * Multiple interaction reasons can be active simultaneously. Timers are
+   * paused when the first reason is added and resumed when the last reason
+   * is removed.
+   *
+   * @param {ActivationReason} reason - Reason the queue should remain active.
+   */
+  #activate(reason) {
+    this.#setActivation(reason, true);
+  }
+
+  /**
+   * Deactivates the queue for the given interaction reason.
+   *
+   * Timers resume only after all active interaction reasons have been removed.
+   *
+   * @param {ActivationReason} reason - Reason to remove.
+   */
+  #deactivate(reason) {
+    this.#setActivation(reason, false);
+  }
+
+  /**
+   * Clears all interaction activation reasons and resumes the queue.
+   */
+  #clearActivation({ transition = true } = {}) {
+    for (const reason of [...this.#activationReasons]) {
+      this.#setActivation(reason, false, transition);
+    }
+  }
+
+  #syncActivationState() {
+    wrapInViewTransition(() => {
+      this.#rootPart.toggleAttribute('data-active', this.#isActive);
+    });
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* Timers / lifecycle state                                               */
+  /* ---------------------------------------------------------------------- */
+
+  /**
+   * Creates, renders and announces a new toast.
+   *
+   * @fires ToastQueue#toast-add
+   *
+   * @param {ToastContent} content - Toast message content.
+   * @param {ToastOptions} options - Per-toast configuration.
+   * @param {string} [id] - Toast identifier. Defaults to a random id.
+   * @returns {ToastRecord} The newly created toast record.
+   */
+  #createToast(content, options, id = randomId()) {
+    const duration = this.#getDuration(options.type, options.duration);
+
+    /** @type {ToastRecord} */
+    const toast = {
+      id,
+      key: options.key,
+      count: 1,
+      timestamp: Date.now(),
+      type: options.type,
+      content,
+      className: options.className,
+      icon: options.icon,
+      actions: normalizeActions(options),
+      dismissible: options.dismissible ?? true,
+      priority: options.priority ?? getDefaultPriority(options.type),
+      duration,
+      announcement: options.announcement,
+      position: options.position,
+      onClose: options.onClose,
+      broadcast: options.broadcast ?? true,
+      timer: undefined,
+      itemRef: null,
+    };
+
+    if (this.#hasSequentialSlot()) {
+      this.#mountToast(toast);
+    } else {
+      this.#backlog.set(id, toast);
+      this.#emitChange();
+    }
+
+    this.#dispatch('toast-add', { toast });
+
+    return toast;
+  }
+
+  /**
+   * Renders a toast, starts its timer and announces it.
+   *
+   * @param {ToastRecord} toast - Toast to show.
+   */
+  #mountToast(toast) {
+    this.#startTimer(toast);
+
+    const item = this.#createItem(toast);
+
+    toast.itemRef = item;
+    this.#queue.set(toast.id, toast);
+    this.#emitChange();
+
+    // The popover must be open before the entering view transition begins.
+    this.#openPopover();
+
+    this.#updateWithTransition(() => {
+      this.#getGroup(toast.position).prepend(item);
+    }).then(() => {
+      // The toast may have been closed during its entering transition.
+      if (this.#queue.get(toast.id) !== toast) return;
+
+      this.#announce(toast);
+      this.#visibility.set(toast.id, false);
+      this.#syncToastVisibility();
+    });
+  }
+
+  /**
+   * Removes a rendered toast from the queue and the DOM.
+   *
+   * @param {ToastRecord} toast - Toast to remove.
+   */
+  #unmountToast(toast) {
+    const { id } = toast;
+
+    this.#queue.delete(id);
+    toast.timer?.clear();
+    this.#visibility.delete(id);
+    this.#toastPauseReasons.delete(id);
+    this.#pendingActions.delete(id);
+    this.#clearRepeatAnnouncement(id);
+    this.#moveFocusAfterClose(toast);
+    this.#emitChange();
+
+    const isEmpty = this.#queue.size === 0;
+    const skipTransition = toast.itemRef.hasAttribute('data-hidden');
+
+    if (isEmpty) {
+      this.#clearActivation({ transition: false });
+    }
+
+    this.#updateWithTransition(
+      () => {
+        toast.itemRef.remove();
+        this.#removeEmptyGroups();
+      },
+      { transition: !skipTransition },
+    ).finally(() => {
+      // Close only after the visual removal has completed, and only if the queue is still empty.
+      if (this.#queue.size === 0) {
+        this.#closePopover();
+      }
+    });
+  }
+
+  /**
+   * Whether a new toast can be shown right away.
+   *
+   * Always `true` in `stack` mode. In `sequential` mode, a toast is shown
+   * only while fewer than `visibleLimit` toasts are shown, no earlier toast
+   * is waiting, and no gap between toasts is pending.
+   *
+   * @returns {boolean}
+   */
+  #hasSequentialSlot() {
+    if (this.#mode !== 'sequential') return true;
+
+    return (
+      this.#queue.size < this.#visibleLimit &&
+      this.#backlog.size === 0 &&
+      this.#promotionTimeoutId === null
+    );
+  }
+
+  /**
+   * Schedules the promotion of backlogged toasts after a toast closes.
+   *
+   * Promotion waits for `sequenceGap` milliseconds, so consecutive toasts do
+   * not replace each other instantly.
+   */
+  #schedulePromotion() {
+    if (this.#mode !== 'sequential') return;
+    if (this.#promotionTimeoutId !== null) return;
+
+    this.#promotionTimeoutId = setTimeout(() => {
+      this.#promotionTimeoutId = null;
+      this.#promote();
+    }, this.#sequenceGap);
+  }
+
+  /**
+   * Shows backlogged toasts while `sequential` slots are free.
+   */
+  #promote() {
+    if (this.#mode !== 'sequential') return;
+
+    while (this.#backlog.size > 0 && this.#queue.size < this.#visibleLimit) {
+      const toast = this.#getNextBacklogged();
+
+      this.#backlog.delete(toast.id);
+      this.#mountToast(toast);
+    }
+  }
+
+  /**
+   * Returns the backlogged toast that should be shown next.
+   *
+   * In `priority` order, the oldest toast with the highest priority level is
+   * shown first. Otherwise the backlog is first in, first out.
+   *
+   * @returns {ToastRecord}
+   */
+  #getNextBacklogged() {
+    const [first, ...rest] = this.#backlog.values();
+
+    if (this.#order !== 'priority') return first;
+
+    return rest.reduce(
+      (next, toast) =>
+        getPriorityLevel(toast.priority) > getPriorityLevel(next.priority) ? toast : next,
+      first,
+    );
+  }
+
+  /**
+   * Switches a toast created by {@link ToastQueue#promise} to its settled
+   * state.
+   *
+   * @param {string} id - Toast identifier.
+   * @param {ToastType} type - Settled toast type.
+   * @param {ToastContent|ToastPromiseContent<unknown>} [content] - Settled content.
+   * @param {unknown} result - Resolved value or rejection reason.
+   * @param {ToastOptions} options - Options passed to `promise()`.
+   */
+  #settlePromiseToast(id, type, content, result, options) {
+    // The toast may have been closed while the promise was pending. In
+    // sequential mode it may still be waiting in the backlog.
+    if (!this.get(id)) return;
+
+    if (content === undefined) {
+      this.close(id);
+      return;
+    }
+
+    let resolved;
+
+    try {
+      resolved = typeof content === 'function' ? content(result) : content;
+    } catch (error) {
+      console.error('[toast-queue] promise content callback threw', error);
+      this.close(id);
+      return;
+    }
+
+    /** @type {ToastUpdate} */
+    const patch = {
+      type,
+      content: resolved,
+      duration: options.duration,
+      dismissible: options.dismissible ?? true,
+    };
+
+    // Keep a priority set by the caller instead of the new type's default.
+    if (options.priority !== undefined) patch.priority = options.priority;
+
+    this.update(id, patch);
+  }
+
+  /**
+   * Frees a slot for a new toast according to the overflow strategy.
+   *
+   * The overflow summary toast does not count toward `maxSize`.
+   *
+   * @returns {boolean} Whether the new toast may be added.
+   */
+  #makeRoom() {
+    const regular = () =>
+      [...this.#queue.values(), ...this.#backlog.values()].filter(
+        ({ id }) => id !== this.#summary?.id,
+      );
+
+    if (regular().length < this.#maxSize) return true;
+    if (this.#overflow === 'drop-newest') return false;
+
+    let folded = 0;
+
+    while (regular().length >= this.#maxSize) {
+      this.close(regular()[0].id, 'overflow');
+      folded++;
+    }
+
+    if (this.#overflow === 'summarize') {
+      this.#addToSummary(folded);
+    }
+
+    return true;
+  }
+
+  /**
+   * Adds folded toasts to the overflow summary toast, creating it when
+   * needed.
+   *
+   * @param {number} count - Number of toasts that were folded.
+   */
+  #addToSummary(count) {
+    if (this.#summary) {
+      this.#summary.count += count;
+      this.update(this.#summary.id, {
+        content: this.#overflowSummary(this.#summary.count),
+        announce: false,
+      });
+      return;
+    }
+
+    // Other tabs summarize their own overflow.
+    const toast = this.#createToast(this.#overflowSummary(count), { broadcast: false });
+
+    this.#summary = { id: toast.id, count };
+  }
+
+  /**
+   * Finds a queued toast by its deduplication key.
+   *
+   * @param {string} [key] - Deduplication key.
+   * @returns {ToastRecord|undefined}
+   */
+  #findByKey(key) {
+    if (key === undefined) return;
+
+    for (const toast of [...this.#queue.values(), ...this.#backlog.values()]) {
+      if (toast.key === key) return toast;
+    }
+  }
+
+  /**
+   * Coalesces a repeated toast into its queued record.
+   *
+   * @param {ToastRecord} toast - Queued toast with the same key.
+   */
+  #repeat(toast) {
+    toast.count++;
+
+    // Backlogged toasts pick up the new count once they are shown.
+    if (toast.itemRef) {
+      toast.timer?.clear();
+      this.#startTimer(toast);
+      this.#patchItem(toast);
+      this.#announceRepeat(toast);
+    }
+
+    this.#emitChange();
+    this.#dispatch('toast-repeat', { toast });
+  }
+
+  #clearQueue() {
+    for (const toast of this.#queue.values()) {
+      toast.timer?.clear();
+      this.#clearRepeatAnnouncement(toast.id);
+    }
+
+    this.#queue.clear();
+    this.#backlog.clear();
+    this.#visibility.clear();
+    this.#toastPauseReasons.clear();
+    this.#pendingActions.clear();
+    this.#remoteToasts.clear();
+    this.#summary = null;
+
+    if (this.#promotionTimeoutId !== null) {
+      clearTimeout(this.#promotionTimeoutId);
+      this.#promotionTimeoutId = null;
+    }
+  }
+
+  /**
+   * Resolves the auto-dismiss duration for a toast.
+   *
+   * Loading toasts never expire. Otherwise an explicit duration wins over the
+   * default duration for the toast's type, which wins over the queue default.
+   *
+   * @param {ToastType} [type] - Toast type.
+   * @param {ToastDuration} [duration] - Explicit duration.
+   * @returns {ToastDuration}
+   */
+  #getDuration(type, duration) {
+    if (type === 'loading') return 0;
+
+    return duration ?? this.#durations[type] ?? this.#duration;
+  }
+
+  /**
+   * Calculates the duration of an `'auto'` toast from its reading time.
+   *
+   * @param {ToastRecord} toast
+   * @returns {number} Duration in milliseconds.
+   */
+  #getReadingTime(toast) {
+    const { wordsPerMinute, minDuration, maxDuration, actionTime } = this.#readingTime;
+    const words = this.#getAnnouncementText(toast).split(/\s+/).filter(Boolean).length;
+    const hasActions = toast.actions.some((action) => action?.label);
+
+    const duration = (words / wordsPerMinute) * 60_000 + (hasActions ? actionTime : 0);
+
+    return Math.min(maxDuration, Math.max(minDuration, Math.round(duration)));
+  }
+
+  /**
+   * Starts a new auto-dismiss timer for a toast.
+   *
+   * No timer is created when the toast's duration is `0`. The timer starts
+   * paused while the queue has an active pause reason.
+   *
+   * @param {ToastRecord} toast
+   */
+  #startTimer(toast) {
+    const duration = toast.duration === 'auto' ? this.#getReadingTime(toast) : toast.duration;
+
+    if (!(duration > 0)) {
+      toast.timer = undefined;
+      return;
+    }
+
+    toast.timer = new Timer(() => this.close(toast.id, 'timeout'), duration);
+
+    this.#syncTimer(toast);
+  }
+
+  /**
+   * Pauses or resumes a toast's timer to match the current pause state.
+   *
+   * @param {ToastRecord} toast
+   * @param {number} [grace=0] - Minimum time in milliseconds left on a
+   *   resumed timer.
+   */
+  #syncTimer(toast, grace = 0) {
+    if (!toast.timer) return;
+
+    if (this.#isTimerPaused(toast)) {
+      toast.timer.pause();
+    } else {
+      toast.timer.resume(grace);
+      this.#requestProgressFrame();
+    }
+  }
+
+  /**
+   * Schedules a progress update unless one is already pending.
+   */
+  #requestProgressFrame() {
+    if (this.#progressFrame !== null) return;
+
+    this.#progressFrame = requestAnimationFrame(this.#updateProgress);
+  }
+
+  /**
+   * Writes each timed toast's countdown progress to `--tq-progress`.
+   *
+   * The value goes from `0` when the timer starts to `1` when it expires.
+   * A single animation frame loop serves all toasts and stops once no timer
+   * is running, so paused toasts keep their last value.
+   */
+  #updateProgress = () => {
+    this.#progressFrame = null;
+
+    let running = false;
+
+    for (const toast of this.#queue.values()) {
+      if (!toast.timer) continue;
+
+      const { elapsed, duration, paused } = toast.timer;
+
+      toast.itemRef.style.setProperty('--tq-progress', Math.min(1, elapsed / duration));
+      running ||= !paused;
+    }
+
+    if (running) this.#requestProgressFrame();
+  };
+
+  /**
+   * Whether a toast's timer should currently be paused.
+   *
+   * Timers only run for toasts that are shown, i.e. whose entering
+   * transition has finished and that are within the visible limit.
+   *
+   * @param {ToastRecord} toast
+   * @returns {boolean}
+   */
+  #isTimerPaused(toast) {
+    return (
+      this.#pauseReasons.size > 0 ||
+      this.#toastPauseReasons.has(toast.id) ||
+      this.#pendingActions.has(toast.id) ||
+      !this.#visibility.get(toast.id)
+    );
+  }
+
+  /**
+   * Adds or removes a pause reason of a single toast.
+   *
+   * @fires ToastQueue#pause
+   * @fires ToastQueue#resume
+   *
+   * @param {string} id - Toast identifier.
+   * @param {ToastPauseReason} reason - Reason to add or remove.
+   * @param {boolean} active - Whether the reason applies.
+   */
+  #setToastPauseReason(id, reason, active) {
+    const toast = this.get(id);
+    if (!toast) return;
+
+    const reasons = this.#toastPauseReasons.get(id) ?? new Set();
+
+    if (reasons.has(reason) === active) return;
+
+    if (active) {
+      reasons.add(reason);
+      this.#toastPauseReasons.set(id, reasons);
+    } else {
+      reasons.delete(reason);
+      if (reasons.size === 0) this.#toastPauseReasons.delete(id);
+    }
+
+    // Backlogged toasts pick up their pinned state once they are rendered.
+    if (toast.itemRef) this.#syncPinnedState(toast.itemRef, reasons.has('pin'));
+
+    this.#syncTimer(toast);
+    this.#emitChange();
+
+    this.#dispatch(active ? 'pause' : 'resume', {
+      id,
+      reason,
+      reasons: [...reasons],
+    });
+  }
+
+  #setPauseReason(reason, active) {
+    const wasPaused = this.#pauseReasons.size > 0;
+
+    if (active) {
+      this.#pauseReasons.add(reason);
+    } else {
+      this.#pauseReasons.delete(reason);
+    }
+
+    if (INTERACTION_PAUSE_REASONS.includes(reason) && this.#isRegistered) {
+      ToastQueue.#syncSharedPause(this);
+    }
+
+    const isPaused = this.#pauseReasons.size > 0;
+
+    if (wasPaused === isPaused) return;
+
+    this.#emitChange();
+
+    // Leave 'auto' toasts enough time to be read once the pointer or focus
+    // moves away, instead of dismissing them right after.
+    const grace =
+      INTERACTION_PAUSE_REASONS.includes(reason) || reason === 'shared'
+        ? this.#readingTime.resumeGrace
+        : 0;
+
+    for (const toast of this.#queue.values()) {
+      this.#syncTimer(toast, toast.duration === 'auto' ? grace : 0);
+    }
+
+    this.#dispatch(isPaused ? 'pause' : 'resume');
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* Coordination                                                           */
+  /* ---------------------------------------------------------------------- */
+
+  /** @returns {boolean} Whether the queue is a named queue in the registry. */
+  get #isRegistered() {
+    return this.#name !== undefined && registry.get(this.#name) === this;
+  }
+
+  /**
+   * Applies the visible limits of all named queues, including the shared
+   * `visibleLimit`, which shows the newest toasts across queues.
+   */
+  static #syncSharedVisibility() {
+    const named = [...registry.values()];
+
+    for (const queue of named) {
+      if (queue.#order === 'priority') queue.#sortItems();
+    }
+
+    const allowed = Number.isFinite(coordination.visibleLimit)
+      ? new Set(
+          named
+            .flatMap((queue) => queue.#getShowableToasts())
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, coordination.visibleLimit),
+        )
+      : null;
+
+    for (const queue of named) {
+      queue.#applyVisibleLimit(allowed);
+    }
+  }
+
+  /**
+   * Pauses all named queues while one of them is hovered, focused or
+   * clicked, when `pause` coordination is enabled.
+   *
+   * The `source` queue's reason is updated directly, since it is in the
+   * middle of updating its own pause state.
+   *
+   * @param {ToastQueue} [source] - Queue whose interaction state changed.
+   */
+  static #syncSharedPause(source) {
+    const interacting =
+      coordination.pause &&
+      [...registry.values()].some((queue) =>
+        INTERACTION_PAUSE_REASONS.some((reason) => queue.#pauseReasons.has(reason)),
+      );
+
+    for (const queue of registry.values()) {
+      if (queue !== source) {
+        queue.#setPauseReason('shared', interacting);
+      } else if (interacting) {
+        queue.#pauseReasons.add('shared');
+      } else {
+        queue.#pauseReasons.delete('shared');
+      }
+    }
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* History                                                                */
+  /* ---------------------------------------------------------------------- */
+
+  /**
+   * Records a closed toast in the history.
+   *
+   * The oldest entries are dropped once the history holds `historySize`
+   * entries.
+   *
+   * @param {ToastRecord} toast - The closed toast.
+   * @param {CloseReason} reason - Why the toast was closed.
+   */
+  #addToHistory(toast, reason) {
+    if (this.#historySize === 0) return;
+
+    /** @type {ToastHistoryEntry} */
+    const entry = {
+      id: toast.id,
+      key: toast.key,
+      count: toast.count,
+      timestamp: toast.timestamp,
+      closedAt: Date.now(),
+      reason,
+      type: toast.type,
+      content: toast.content,
+      className: toast.className,
+      icon: toast.icon,
+      actions: toast.actions,
+      dismissible: toast.dismissible,
+      priority: toast.priority,
+      duration: toast.duration,
+      announcement: toast.announcement,
+      position: toast.position,
+    };
+
+    this.#history.unshift(entry);
+    this.#history.length = Math.min(this.#history.length, this.#historySize);
+    this.#syncHistory();
+  }
+
+  /**
+   * Re-renders the open history panel and notifies listeners.
+   *
+   * @fires ToastQueue#history-change
+   */
+  #syncHistory() {
+    this.#renderHistory();
+    this.#dispatch('history-change', { history: this.history });
+  }
+
+  /**
+   * Renders the history entries into the panel while it is open.
+   */
+  #renderHistory() {
+    if (!this.#historyPart || this.#historyPart.hidden) return;
+
+    const now = Date.now();
+    const list = this.#historyPart.querySelector(SELECTORS.historyList);
+
+    list.replaceChildren(...this.#history.map((entry) => this.#createHistoryItem(entry, now)));
+  }
+
+  /**
+   * Creates a history panel entry from the item template.
+   *
+   * The entry uses `data-part="history-item"` so queue styles and behavior
+   * don't apply to it. Close and action buttons are replaced by the relative
+   * close time and a restore button.
+   *
+   * @param {ToastHistoryEntry} entry - History entry to render.
+   * @param {number} now - Reference time for the relative close time.
+   * @returns {HTMLLIElement}
+   */
+  #createHistoryItem(entry, now) {
+    const item = this.#createItem(entry);
+    const toastPart = item.querySelector(SELECTORS.toast);
+
+    item.dataset.part = 'history-item';
+    item.dataset.reason = entry.reason;
+    item.removeAttribute('style');
+    delete item.dataset.swipeable;
+
+    item.querySelector(SELECTORS.closeButton)?.remove();
+    item.querySelector(SELECTORS.actions)?.remove();
+    toastPart.removeAttribute('tabindex');
+
+    const time = document.createElement('time');
+    time.dataset.part = 'time';
+    time.dateTime = new Date(entry.closedAt).toISOString();
+    time.textContent = formatRelativeTime(entry.closedAt, now);
+
+    const fragment = this.#template.restoreButton.content.cloneNode(true);
+
+    toastPart.append(time, fragment.querySelector(SELECTORS.restoreButton));
+
+    return item;
+  }
+
+  /**
+   * Mirrors the panel's open state to `aria-expanded` on its controls.
+   */
+  #syncHistoryControls() {
+    const expanded = String(!this.#historyPart.hidden);
+    const controls = [
+      ...this.#rootPart.querySelectorAll('[data-command="history"]'),
+      ...document.querySelectorAll(
+        `[data-command="history"][aria-controls="${CSS.escape(this.#historyPart.id)}"]`,
+      ),
+    ];
+
+    for (const control of controls) {
+      control.setAttribute('aria-expanded', expanded);
+    }
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* State synchronization                                                  */
+  /* ---------------------------------------------------------------------- */
+
+  /**
+   * Synchronizes the queue's visibility metadata.
+   *
+   * Each item receives:
+   *
+   * - `data-hidden` when it exceeds the visible limit.
+   * - `data-peek` on the first hidden item.
+   * - `--tq-item-index` containing its zero-based position.
+   *
+   * Each group is limited on its own. The queue receives
+   * `data-hidden-count` when its main group has hidden items, other groups
+   * receive it themselves.
+   *
+   * These attributes and properties are styling hooks for CSS presets.
+   *
+   * In `priority` order, items are first sorted by priority level, so the
+   * most urgent toasts always fall within the visible limit.
+   */
+  #syncVisibleLimitState() {
+    if (this.#isRegistered && Number.isFinite(coordination.visibleLimit)) {
+      ToastQueue.#syncSharedVisibility();
+      return;
+    }
+
+    if (this.#order === 'priority') {
+      this.#sortItems();
+    }
 
-  #setActivation(reason, active, transition = true) {
-    const wasActive = this.#isActive;
+    this.#applyVisibleLimit();
+  }
 
-    if (active) {
-      if (this.#activationReasons.has(reason)) return;
+  /**
+   * Marks items beyond the visible limit of their group as hidden.
+   *
+   * @param {Set<ToastRecord>|null} [allowed] - Toasts that the shared
+   *   `visibleLimit` of named queues allows to be shown, if one is set.
+   */
+  #applyVisibleLimit(allowed = null) {
+    const sizes = this.#countByGroup();
+    let total = 0;
+
+    for (const group of [this.#groupPart, ...this.#groups.values()]) {
+      const target = group === this.#groupPart ? this.#rootPart : group;
+      let hidden = Math.max(0, (sizes.get(group) ?? 0) - this.#visibleLimit);
+      let index = 0;
+
+      for (const item of group.children) {
+        const toast = this.#queue.get(item.dataset.id);
+        const withinLimit = index < this.#visibleLimit;
+        const shown = withinLimit && (!allowed || !toast || allowed.has(toast));
+
+        if (withinLimit && !shown) hidden++;
+
+        item.style.setProperty('--tq-item-index', index);
+        item.toggleAttribute('data-hidden', !shown);
+        item.toggleAttribute('data-peek', index === this.#visibleLimit);
+        index++;
+      }
 
-      this.#activationReasons.add(reason);
-      this.#setPauseReason(reason, true);
-    } else {
-      if (!this.#activationReasons.has(reason)) return;
+      if (hidden > 0) {
+        target.dataset.hiddenCount = hidden;
+      } else {
+        delete target.dataset.hiddenCount;
+      }
 
-      this.#activationReasons.delete(reason);
-      this.#setPauseReason(reason, false);
+      total += hidden;
     }
 
-    if (wasActive === this.#isActive) return;
-
-    if (transition) {
-      this.#syncActivationState();
-    } else {
-      this.#rootPart.toggleAttribute('data-active', this.#isActive);
+    if (this.#hiddenCount !== total) {
+      this.#hiddenCount = total;
+      this.#emitChange();
     }
 
-    if (this.#isActive) {
-      this.#dispatch('activate', {
-        reason,
-        reasons: [...this.#activationReasons],
-      });
-    } else {
-      this.#dispatch('deactivate', { reason });
-    }
+    this.#syncToastVisibility();
   }
 
   /**
-   * Activates the queue for the given interaction reason.
-   *
-   * Multiple interaction reasons can be active simultaneously. Timers are
-   * paused when the first reason is added and resumed when the last reason
-   * is removed.
+   * Returns the toasts each group would show within the queue's own
+   * visible limit.
    *
-   * @param {ActivationReason} reason - Reason the queue should remain active.
+   * @returns {ToastRecord[]}
    */
-  #activate(reason) {
-    this.#setActivation(reason, true);
+  #getShowableToasts() {
+    return [this.#groupPart, ...this.#groups.values()].flatMap((group) =>
+      [...group.children]
+        .map((item) => this.#queue.get(item.dataset.id))
+        .filter(Boolean)
+        .slice(0, this.#visibleLimit),
+    );
   }
 
   /**
-   * Deactivates the queue for the given interaction reason.
+   * Synchronizes each entered toast's shown state with its `data-hidden`
+   * attribute.
    *
-   * Timers resume only after all active interaction reasons have been removed.
+   * Timers of toasts that become shown are resumed and timers of toasts that
+   * are pushed beyond the visible limit are paused.
    *
-   * @param {ActivationReason} reason - Reason to remove.
+   * @fires ToastQueue#toast-show
+   * @fires ToastQueue#toast-hide
    */
-  #deactivate(reason) {
-    this.#setActivation(reason, false);
+  #syncToastVisibility() {
+    for (const [id, wasShown] of this.#visibility) {
+      const toast = this.#queue.get(id);
+      const shown = !toast.itemRef.hasAttribute('data-hidden');
+
+      if (shown === wasShown) continue;
+
+      this.#visibility.set(id, shown);
+      this.#syncTimer(toast);
+
+      this.#dispatch(shown ? 'toast-show' : 'toast-hide', { toast });
+    }
   }
 
   /**
-   * Clears all interaction activation reasons and resumes the queue.
+   * Moves items into the group of their position, ordered from newest to
+   * oldest. In `priority` order, items are first ordered by priority level.
+   *
+   * Items are only moved when the current order differs.
    */
-  #clearActivation({ transition = true } = {}) {
-    for (const reason of [...this.#activationReasons]) {
-      this.#setActivation(reason, false, transition);
+  #sortItems() {
+    // Newest first, matching the default prepend order. The sort is stable,
+    // so toasts with the same level keep that order.
+    const toasts = [...this.#queue.values()].reverse();
+
+    if (this.#order === 'priority') {
+      toasts.sort((a, b) => getPriorityLevel(b.priority) - getPriorityLevel(a.priority));
     }
-  }
 
-  #syncActivationState() {
-    wrapInViewTransition(() => {
-      this.#rootPart.toggleAttribute('data-active', this.#isActive);
-    });
-  }
+    /** @type {Map<HTMLOListElement, HTMLLIElement[]>} */
+    const itemsByGroup = new Map();
 
-  /* ---------------------------------------------------------------------- */
-  /* Timers / lifecycle state                                               */
-  /* ---------------------------------------------------------------------- */
+    for (const toast of toasts) {
+      // Skip items whose entering transition has not inserted them yet.
+      if (!toast.itemRef.parentElement) continue;
 
-  #clearQueue() {
-    for (const toast of this.#queue.values()) {
-      toast.timer?.clear();
+      const group = this.#getGroup(toast.position);
+
+      itemsByGroup.set(group, [...(itemsByGroup.get(group) ?? []), toast.itemRef]);
     }
 
-    this.#queue.clear();
-  }
+    for (const [group, items] of itemsByGroup) {
+      const children = [...group.children];
 
-  #setPauseReason(reason, active) {
-    const wasPaused = this.#pauseReasons.size > 0;
+      if (items.every((item, index) => children[index] === item)) continue;
 
-    if (active) {
-      this.#pauseReasons.add(reason);
-    } else {
-      this.#pauseReasons.delete(reason);
+      group.append(...items);
     }
+  }
 
-    const isPaused = this.#pauseReasons.size > 0;
+  /**
+   * Returns the group that renders toasts at a position, creating it when
+   * needed.
+   *
+   * Toasts at the queue's position are rendered in the main group. Other
+   * positions get their own group, a copy of the main group with
+   * `data-position`.
+   *
+   * @param {ToastQueuePosition} [position] - Position of the toast.
+   * @returns {HTMLOListElement}
+   */
+  #getGroup(position = this.#position) {
+    if (position === this.#position) return this.#groupPart;
 
-    if (wasPaused === isPaused) return;
+    let group = this.#groups.get(position);
 
-    for (const toast of this.#queue.values()) {
-      isPaused ? toast.timer?.pause() : toast.timer?.resume();
+    if (!group) {
+      group = this.#groupPart.cloneNode(false);
+      group.removeAttribute('id');
+      group.dataset.position = position;
+
+      this.#groups.set(position, group);
+      this.#groupPart.after(group);
     }
 
-    this.#dispatch(isPaused ? 'pause' : 'resume');
+    return group;
   }
 
-  /* ---------------------------------------------------------------------- */
-  /* State synchronization                                                  */
-  /* ---------------------------------------------------------------------- */
-
   /**
-   * Synchronizes the queue's visibility metadata.
-   *
-   * Each item receives:
-   *
-   * - `data-hidden` when it exceeds the visible limit.
-   * - `data-peek` on the first hidden item.
-   * - `--tq-item-index` containing its zero-based position.
-   *
-   * The queue receives `data-hidden-count` when hidden items exist.
+   * Counts the toasts rendered in each group.
    *
-   * These attributes and properties are styling hooks for CSS presets.
+   * @returns {Map<HTMLOListElement, number>}
    */
-  #syncVisibleLimitState() {
-    const hidden = Math.max(0, this.#queue.size - this.#visibleLimit);
+  #countByGroup() {
+    const sizes = new Map();
 
-    if (hidden > 0) {
-      this.#rootPart.dataset.hiddenCount = hidden;
-    } else {
-      delete this.#rootPart.dataset.hiddenCount;
+    for (const toast of this.#queue.values()) {
+      const group = this.#getGroup(toast.position);
+
+      sizes.set(group, (sizes.get(group) ?? 0) + 1);
     }
 
-    let index = 0;
-    for (const item of this.#groupPart.children) {
-      item.style.setProperty('--tq-item-index', index);
-      item.toggleAttribute('data-hidden', index >= this.#visibleLimit);
-      item.toggleAttribute('data-peek', index === this.#visibleLimit);
-      index++;
+    return sizes;
+  }
+
+  /**
+   * Removes groups that no longer contain items.
+   */
+  #removeEmptyGroups() {
+    for (const [position, group] of this.#groups) {
+      if (group.childElementCount > 0) continue;
+
+      group.remove();
+      this.#groups.delete(position);
     }
   }
 
@@ -810,11 +3433,32 @@ export class ToastQueue {
   }
 
   #closePopover() {
+    // The open history panel keeps the queue visible.
+    if (this.#historyPart && !this.#historyPart.hidden) return;
+
     if (this.#rootPart.matches(':popover-open')) {
       this.#rootPart.hidePopover();
     }
   }
 
+  /**
+   * Sends a message to the queues of other tabs.
+   *
+   * Does nothing without a channel or while a message from another tab is
+   * being applied.
+   *
+   * @param {ToastChannelMessage} message
+   */
+  #broadcast(message) {
+    if (!this.#channel || this.#applyingRemote) return;
+
+    try {
+      this.#channel.postMessage(message);
+    } catch (error) {
+      console.error('[toast-queue] Failed to broadcast toast', error);
+    }
+  }
+
   /**
    * Applies a DOM update and synchronizes toast visibility metadata.
    *
@@ -849,6 +3493,10 @@ export class ToastQueue {
    * The inner `[data-part="toast"]` owns the toast's interactive and
    * accessibility surface.
    *
+   * The template is filled before the `render` option sees it. Identity,
+   * layout, swipe and labelling attributes are applied to the item it
+   * returns.
+   *
    * @param {ToastRecord} toast - Toast data to render.
    * @returns {HTMLLIElement} The newly created toast queue item.
    */
@@ -857,81 +3505,248 @@ export class ToastQueue {
     const descId = `tq:${toast.id}:desc`;
     const fragment = this.#template.item.content.cloneNode(true);
 
-    const item = fragment.querySelector(SELECTORS.item);
-    const toastPart = fragment.querySelector(SELECTORS.toast);
     const iconPart = fragment.querySelector(SELECTORS.icon);
     const contentPart = fragment.querySelector(SELECTORS.content);
     const titlePart = fragment.querySelector(SELECTORS.title);
     const descPart = fragment.querySelector(SELECTORS.desc);
+    const countPart = fragment.querySelector(SELECTORS.count);
     const actionsPart = fragment.querySelector(SELECTORS.actions);
     const closeButton = fragment.querySelector(SELECTORS.closeButton);
 
+    if (toast.dismissible === false) closeButton.remove();
+
+    const icon = toast.icon ?? this.#icons[toast.type];
+
+    if (icon) {
+      if (typeof iconPart.setHTML === 'function') {
+        iconPart.setHTML(icon);
+      } else {
+        iconPart.innerHTML = icon;
+      }
+    } else {
+      iconPart.remove();
+    }
+
+    const isSingle = typeof toast.content === 'string' || toast.content instanceof Node;
+    const labelPart = isSingle ? contentPart : titlePart;
+
+    if (isSingle) {
+      contentPart.id = titleId;
+      contentPart.replaceChildren(toNode(toast.content));
+    } else {
+      titlePart.id = titleId;
+      titlePart.replaceChildren(toNode(toast.content?.title ?? ''));
+      descPart.id = descId;
+      descPart.replaceChildren(toNode(toast.content?.description ?? ''));
+    }
+
+    if (toast.count > 1) {
+      if (countPart) countPart.textContent = toast.count;
+    } else {
+      countPart?.remove();
+    }
+
+    const actionButtons = toast.actions
+      .map((action, index) => action?.label && this.#createActionButton(action, index))
+      .filter(Boolean);
+
+    // A re-render must not drop the busy state of a running action.
+    const pendingButton = actionButtons.find(
+      (button) => Number(button.dataset.actionIndex) === this.#pendingActions.get(toast.id),
+    );
+    if (pendingButton) this.#setActionBusy(pendingButton, true);
+
+    if (actionButtons.length > 0) {
+      actionsPart.append(...actionButtons);
+    } else {
+      actionsPart.remove();
+    }
+
+    const item = this.#renderItem(toast, fragment);
+    const toastPart = item.querySelector(SELECTORS.toast);
+
     // Queue state and layout belong to the item.
     item.dataset.id = toast.id;
     item.dataset.dismissible = toast.dismissible;
+
+    if (toast.type) item.dataset.type = toast.type;
+    if (toast.count > 1) item.dataset.count = toast.count;
     item.style.setProperty('view-transition-name', `tq-item-${toast.id}`);
 
     if (toast.className) {
       item.classList.add(...toast.className.split(' '));
     }
 
-    this.#syncItemPosition(item, toast.dismissible);
+    this.#syncItemPosition(item, toast.dismissible, toast.position);
 
     // The toast surface owns focus and accessibility semantics.
     toastPart.tabIndex = 0;
-    toastPart.setAttribute('aria-labelledby', titleId);
 
-    if (toast.dismissible === false) closeButton.remove();
+    if (!toastPart.hasAttribute('aria-labelledby')) {
+      if (item.contains(labelPart)) {
+        toastPart.setAttribute('aria-labelledby', titleId);
+      } else {
+        toastPart.setAttribute('aria-label', this.#getAnnouncementText(toast));
+      }
+    }
 
-    if (toast.content?.description) {
+    if (toast.content?.description && item.contains(descPart)) {
       toastPart.setAttribute('aria-describedby', descId);
     }
 
-    if (toast.icon) {
-      if (typeof iconPart.setHTML === 'function') {
-        iconPart.setHTML(toast.icon);
+    this.#syncPinnedState(item, !!this.#toastPauseReasons.get(toast.id)?.has('pin'));
+
+    return item;
+  }
+
+  /**
+   * Passes a filled item fragment to the `render` option and returns the
+   * item to use.
+   *
+   * The default item is used when there is no `render` option, when it
+   * returns nothing, when it throws, or when it returns something other than
+   * an element with a toast part.
+   *
+   * @param {ToastRecord|ToastHistoryEntry} toast - Toast being rendered.
+   * @param {DocumentFragment} fragment - Cloned and filled item template.
+   * @returns {HTMLLIElement}
+   */
+  #renderItem(toast, fragment) {
+    const item = fragment.querySelector(SELECTORS.item);
+
+    if (!this.#render) return item;
+
+    /** @type {ToastParts} */
+    const parts = {
+      fragment,
+      item,
+      toast: fragment.querySelector(SELECTORS.toast),
+      icon: fragment.querySelector(SELECTORS.icon),
+      content: fragment.querySelector(SELECTORS.content),
+      title: fragment.querySelector(SELECTORS.title),
+      description: fragment.querySelector(SELECTORS.desc),
+      count: fragment.querySelector(SELECTORS.count),
+      actions: fragment.querySelector(SELECTORS.actions),
+      closeButton: fragment.querySelector(SELECTORS.closeButton),
+    };
+
+    let result;
+
+    try {
+      result = this.#render(toast, parts);
+    } catch (error) {
+      console.error('[toast-queue] render threw', error);
+      return item;
+    }
+
+    if (result == null) return item;
+
+    const rendered =
+      result instanceof DocumentFragment ? result.querySelector(SELECTORS.item) : result;
+
+    if (!(rendered instanceof Element) || !rendered.querySelector(SELECTORS.toast)) {
+      console.error('[toast-queue] render returned no item with a toast part', result);
+      return item;
+    }
+
+    return rendered;
+  }
+
+  /**
+   * Creates an action button for a toast action.
+   *
+   * Actions with an `href` are rendered from the `actionLink` template, all
+   * others from the `actionButton` template. The action's index is stored in
+   * `data-action-index` so clicks can be matched to the action.
+   *
+   * @param {ToastAction} action - Action configuration.
+   * @param {number} index - Index of the action in the toast's actions.
+   * @returns {HTMLElement} The action button or link.
+   */
+  #createActionButton(action, index) {
+    const template = action.href ? this.#template.actionLink : this.#template.actionButton;
+    const fragment = template.content.cloneNode(true);
+    const button = fragment.querySelector(SELECTORS.actionButton);
+
+    button.textContent = action.label;
+    button.dataset.actionIndex = index;
+
+    if (action.id) button.dataset.actionId = action.id;
+    if (action.variant) button.dataset.variant = action.variant;
+
+    if (action.href) {
+      button.setAttribute('href', action.href);
+      if (action.target) button.setAttribute('target', action.target);
+    }
+
+    return button;
+  }
+
+  /**
+   * Re-renders an existing item from its toast record.
+   *
+   * The `<li>` itself is kept, so its identity, view transition name and
+   * visibility state survive. Its contents are replaced with a freshly
+   * rendered copy. When focus was inside the item, it is restored to the same
+   * part, falling back to the toast surface.
+   *
+   * @param {ToastRecord} toast - Toast whose item should be updated.
+   */
+  #patchItem(toast) {
+    const item = toast.itemRef;
+    const next = this.#createItem(toast);
+    const focused = item.contains(document.activeElement)
+      ? document.activeElement.closest('[data-part]')?.dataset.part
+      : undefined;
+
+    item.className = next.className;
+
+    for (const key of ['dismissible', 'count', 'type', 'pinned']) {
+      if (key in next.dataset) {
+        item.dataset[key] = next.dataset[key];
       } else {
-        iconPart.innerHTML = toast.icon;
+        delete item.dataset[key];
       }
-    } else {
-      iconPart.remove();
     }
 
-    if (typeof toast.content === 'string') {
-      contentPart.id = titleId;
-      contentPart.textContent = toast.content;
-    } else {
-      titlePart.id = titleId;
-      titlePart.textContent = toast.content?.title ?? '';
-      descPart.id = descId;
-      descPart.textContent = toast.content?.description ?? '';
-    }
+    this.#syncItemPosition(item, toast.dismissible, toast.position);
+    item.replaceChildren(...next.childNodes);
 
-    if (toast.action?.label) {
-      const actionButtonTemplate = this.#template.actionButton.content.cloneNode(true);
-      const actionButton = actionButtonTemplate.querySelector(SELECTORS.actionButton);
+    if (focused && !item.contains(document.activeElement)) {
+      const target =
+        item.querySelector(`[data-part="${focused}"]`) ?? item.querySelector(SELECTORS.toast);
 
-      actionButton.textContent = toast.action.label;
-      actionsPart.appendChild(actionButton);
-    } else {
-      actionsPart.remove();
+      target?.focus();
     }
+  }
 
-    return item;
+  /**
+   * Reflects a toast's pinned state on its item and pin commands.
+   *
+   * @param {HTMLLIElement} item - Toast queue item.
+   * @param {boolean} pinned - Whether the toast is pinned.
+   */
+  #syncPinnedState(item, pinned) {
+    item.toggleAttribute('data-pinned', pinned);
+
+    for (const command of item.querySelectorAll('[data-command="pin"]')) {
+      command.setAttribute('aria-pressed', pinned);
+    }
   }
 
   /**
-   * Synchronizes item positioning and swipe state with the current queue
-   * position.
+   * Synchronizes item positioning and swipe state with the toast's position.
    *
    * @param {HTMLLIElement} item - Toast queue item.
    * @param {boolean} dismissible - Whether the toast can be dismissed.
+   * @param {ToastQueuePosition} [position] - Position of the toast. Defaults
+   *   to the queue position.
    */
-  #syncItemPosition(item, dismissible) {
-    item.style.viewTransitionClass = `tq-item ${getPositionViewTransitionClass(this.#position)}`;
+  #syncItemPosition(item, dismissible, position = this.#position) {
+    item.style.viewTransitionClass = `tq-item ${getPositionViewTransitionClass(position)}`;
 
     if (dismissible) {
-      item.dataset.swipeable = getSwipeableDirection(this.#position);
+      item.dataset.swipeable = getSwipeableDirection(position);
     } else {
       delete item.dataset.swipeable;
     }
@@ -957,25 +3772,60 @@ export class ToastQueue {
 
     const target = next && !next.hasAttribute('data-hidden') ? next : prev;
 
+    if (!target && this.#returnFocus) {
+      this.#restoreFocus();
+      return;
+    }
+
     target?.querySelector(SELECTORS.toast)?.focus();
   }
 
+  /**
+   * Returns focus to the element that had it before the hotkey moved it
+   * into the queue.
+   */
+  #restoreFocus() {
+    const target = this.#returnFocus;
+
+    this.#returnFocus = null;
+
+    if (target?.isConnected && target !== document.body) {
+      target.focus();
+    } else {
+      document.activeElement?.blur();
+    }
+  }
+
   /* ---------------------------------------------------------------------- */
   /* Accessibility                                                          */
   /* ---------------------------------------------------------------------- */
 
+  /**
+   * Labels the queue region with the number of toasts it holds.
+   */
+  #syncRegionLabel() {
+    this.#rootPart.setAttribute('aria-label', this.#regionLabel(this.#queue.size));
+  }
+
   /**
    * Converts toast content into a string suitable for screen-reader
    * announcement.
    *
+   * The toast's `announcement` takes precedence. Nodes are announced with
+   * their text content.
+   *
    * @param {ToastRecord} toast - Toast whose content should be announced.
    * @returns {string} Announcement text.
    */
   #getAnnouncementText(toast) {
-    if (typeof toast.content === 'string') return toast.content;
-    if (!toast.content) return '';
+    if (toast.announcement !== undefined) return toast.announcement;
+
+    const content = toTextContent(toast.content);
 
-    return [toast.content.title, toast.content.description].filter(Boolean).join('. ');
+    if (typeof content === 'string') return content;
+    if (!content) return '';
+
+    return [content.title, content.description].filter(Boolean).join('. ');
   }
 
   /**
@@ -985,22 +3835,69 @@ export class ToastQueue {
    * No announcement is made when neither API is available.
    *
    * @param {ToastRecord} toast - Toast to announce.
+   * @param {string} [message] - Text to announce instead of the toast content.
    */
-  #announce(toast) {
-    const message = this.#getAnnouncementText(toast);
-
+  #announce(toast, message = this.#getAnnouncementText(toast)) {
     if (!message) return;
 
     const target = toast.itemRef.querySelector(SELECTORS.toast);
 
+    const priority = getAnnouncementPriority(toast.priority);
+
     if (target?.ariaNotify) {
       target.ariaNotify(message, {
-        priority: toast.priority,
+        priority,
       });
     } else if (document.ariaNotify) {
       document.ariaNotify(message, {
-        priority: toast.priority,
+        priority,
       });
     }
   }
+
+  /**
+   * Announces a repeated toast together with its repeat count.
+   *
+   * Announcements are rate-limited per toast. Repeats arriving within
+   * `REPEAT_ANNOUNCEMENT_INTERVAL` of the previous announcement are folded
+   * into a single trailing announcement with the latest count.
+   *
+   * @param {ToastRecord} toast - Repeated toast.
+   */
+  #announceRepeat(toast) {
+    const state = this.#repeatAnnouncements.get(toast.id);
+
+    // A trailing announcement is already scheduled and reads the latest count.
+    if (state?.timeoutId !== undefined) return;
+
+    const announce = () => {
+      this.#repeatAnnouncements.set(toast.id, { time: Date.now() });
+      this.#announce(toast, `${this.#getAnnouncementText(toast)} (${toast.count})`);
+    };
+
+    const delay = (state?.time ?? toast.timestamp) + REPEAT_ANNOUNCEMENT_INTERVAL - Date.now();
+
+    if (delay <= 0) {
+      announce();
+      return;
+    }
+
+    this.#repeatAnnouncements.set(toast.id, {
+      time: state?.time ?? toast.timestamp,
+      timeoutId: setTimeout(announce, delay),
+    });
+  }
+
+  /**
+   * Cancels any pending repeat announcement for a toast.
+   *
+   * @param {string} id - Toast identifier.
+   */
+  #clearRepeatAnnouncement(id) {
+    const state = this.#repeatAnnouncements.get(id);
+    if (!state) return;
+
+    if (state.timeoutId !== undefined) clearTimeout(state.timeoutId);
+    this.#repeatAnnouncements.delete(id);
+  }
 }
@@ -29,6 +29,8 @@ describe('ToastQueue', () => {
     expect(root).toHaveAttribute('popover', 'manual');
     expect(root).toHaveAttribute('tabindex', '-1');
     expect(root).toHaveAttribute('data-position', 'top-end');
+    expect(root).toHaveAttribute('role', 'region');
+    expect(root).toHaveAttribute('aria-label', 'Notifications, 0 items');
   });
 
   test('renders toast content', async () => {
@@ -104,9 +106,175 @@ describe('ToastQueue', () => {
     expect(onAction).toHaveBeenCalledTimes(1);
     expect(onAction.mock.calls[0][0].detail).toEqual({
       toast: toastRef,
+      action: toastRef.actions[0],
+      index: 0,
     });
 
     expect(onClick).toHaveBeenCalledTimes(1);
+    expect(toastQueue.get(toastRef.id)).toBe(toastRef);
+  });
+
+  test('renders multiple actions and reports the clicked one', async () => {
+    const onAction = vi.fn();
+    const onUndo = vi.fn();
+
+    toastQueue.element.addEventListener('toast-action', onAction);
+
+    const toastRef = toastQueue.add('Message archived', {
+      actions: [
+        { id: 'undo', label: 'Undo', variant: 'primary', onClick: onUndo },
+        { id: 'delete', label: 'Delete', variant: 'destructive' },
+      ],
+    });
+
+    const undo = page.getByRole('button', { name: 'Undo' });
+    const remove = page.getByRole('button', { name: 'Delete' });
+
+    await expect.element(undo).toHaveAttribute('data-variant', 'primary');
+    await expect.element(remove).toHaveAttribute('data-variant', 'destructive');
+
+    await remove.click();
+
+    expect(onUndo).not.toHaveBeenCalled();
+    expect(onAction.mock.calls[0][0].detail).toEqual({
+      toast: toastRef,
+      action: toastRef.actions[1],
+      index: 1,
+    });
+  });
+
+  test('renders link actions as anchors', async () => {
+    toastQueue.add('Report ready', {
+      actions: [{ label: 'Open', href: '#report', target: '_blank' }],
+    });
+
+    const link = page.getByRole('link', { name: 'Open' });
+
+    await expect.element(link).toHaveAttribute('href', '#report');
+    await expect.element(link).toHaveAttribute('target', '_blank');
+  });
+
+  test('closes toast when an action has closeOnClick', async () => {
+    const onToastClose = vi.fn();
+
+    toastQueue.element.addEventListener('toast-close', onToastClose);
+
+    const toastRef = toastQueue.add('Message archived', {
+      actions: [{ label: 'Undo', closeOnClick: true }],
+    });
+
+    await page.getByRole('button', { name: 'Undo' }).click();
+
+    expect(toastQueue.get(toastRef.id)).toBeUndefined();
+    expect(onToastClose).toHaveBeenCalledTimes(1);
+  });
+
+  test('marks async actions busy and closes the toast once they resolve', async () => {
+    let resolve;
+    const onToastClose = vi.fn();
+
+    toastQueue.element.addEventListener('toast-close', onToastClose);
+
+    const toastRef = toastQueue.add('Upload failed', {
+      duration: 50,
+      action: {
+        label: 'Retry',
+        onClick: () =>
+          new Promise((r) => {
+            resolve = r;
+          }),
+      },
+    });
+
+    const button = page.getByRole('button', { name: 'Retry' });
+
+    await button.click();
+
+    const item = document.querySelector(`[data-part="item"][data-id="${toastRef.id}"]`);
+
+    await expect.element(button).toHaveAttribute('aria-busy', 'true');
+    expect(item).toHaveAttribute('data-pending');
+
+    // The toast's timer is paused while the action is pending.
+    await new Promise((r) => setTimeout(r, 100));
+    expect(toastQueue.get(toastRef.id)).toBe(toastRef);
+
+    resolve();
+
+    await vi.waitFor(() => {
+      expect(toastQueue.get(toastRef.id)).toBeUndefined();
+    });
+
+    expect(onToastClose.mock.calls[0][0].detail).toEqual({
+      toast: toastRef,
+      reason: 'action',
+    });
+  });
+
+  test('restores the toast when an async action rejects', async () => {
+    const error = new Error('Retry failed');
+    const onError = vi.fn();
+
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    toastQueue.element.addEventListener('toast-action-error', onError);
+
+    const toastRef = toastQueue.add('Upload failed', {
+      action: {
+        label: 'Retry',
+        onClick: () => Promise.reject(error),
+      },
+    });
+
+    const button = page.getByRole('button', { name: 'Retry' });
+
+    await button.click();
+
+    await vi.waitFor(() => {
+      expect(onError).toHaveBeenCalledTimes(1);
+    });
+
+    expect(onError.mock.calls[0][0].detail).toEqual({
+      toast: toastRef,
+      action: toastRef.actions[0],
+      index: 0,
+      error,
+    });
+
+    expect(toastQueue.get(toastRef.id)).toBe(toastRef);
+    await expect.element(button).not.toHaveAttribute('aria-busy');
+    expect(toastRef.itemRef).not.toHaveAttribute('data-pending');
+  });
+
+  test('keeps a pending action busy when the toast is updated', async () => {
+    let resolve;
+
+    const toastRef = toastQueue.add('Upload failed', {
+      action: {
+        label: 'Retry',
+        closeOnClick: false,
+        onClick: () =>
+          new Promise((r) => {
+            resolve = r;
+          }),
+      },
+    });
+
+    const button = page.getByRole('button', { name: 'Retry' });
+
+    await button.click();
+    await expect.element(button).toHaveAttribute('aria-busy', 'true');
+
+    toastQueue.update(toastRef.id, 'Retrying upload');
+
+    await expect.element(button).toHaveAttribute('aria-busy', 'true');
+    await expect.element(button).toHaveAttribute('aria-disabled', 'true');
+
+    resolve();
+
+    await expect.element(button).not.toHaveAttribute('aria-busy');
+    await expect.element(button).not.toHaveAttribute('aria-disabled');
+    expect(toastRef.itemRef).not.toHaveAttribute('data-pending');
   });
 
   test('removes actions part without an action', async () => {
@@ -227,6 +395,47 @@ describe('ToastQueue', () => {
     expect(toastQueue.get(toastRef.id)).toBe(toastRef);
   });
 
+  test('moves focus into the queue and back with the hotkey', async () => {
+    toastQueue.destroy();
+    toastQueue = new ToastQueue({ hotkey: 'Alt+T' });
+
+    const button = document.createElement('button');
+    document.body.appendChild(button);
+    button.focus();
+
+    toastQueue.add('First');
+    const toastRef = toastQueue.add('Second');
+
+    await expect.element(page.getByText('Second')).toBeInTheDocument();
+    expect(toastQueue.element).toHaveAttribute('aria-label', 'Notifications, 2 items');
+
+    const pressHotkey = () =>
+      document.activeElement.dispatchEvent(
+        new KeyboardEvent('keydown', { key: 't', code: 'KeyT', altKey: true, bubbles: true }),
+      );
+
+    pressHotkey();
+
+    expect(document.activeElement).toBe(toastRef.itemRef.querySelector('[data-part="toast"]'));
+    await vi.waitFor(() => {
+      expect(toastQueue.element).toHaveAttribute('data-active');
+    });
+
+    pressHotkey();
+
+    expect(document.activeElement).toBe(button);
+
+    pressHotkey();
+    document.activeElement.dispatchEvent(
+      new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }),
+    );
+
+    expect(document.activeElement).toBe(button);
+    expect(toastQueue.size).toBe(2);
+
+    button.remove();
+  });
+
   test('updates position and swipe direction', async () => {
     const toastRef = toastQueue.add('Toast message');
 
@@ -243,6 +452,101 @@ describe('ToastQueue', () => {
     expect(item).toHaveAttribute('data-swipeable', getSwipeableDirection('bottom-center'));
   });
 
+  test('renders toasts with their own position in a separate group', async () => {
+    toastQueue.visibleLimit = 1;
+    toastQueue.add('Alert');
+    toastQueue.add('First undo', { position: 'bottom-center' });
+    const undo = toastQueue.add('Second undo', { position: 'bottom-center' });
+
+    await expect.element(page.getByText('Second undo')).toBeInTheDocument();
+
+    const group = undo.itemRef.parentElement;
+
+    expect(group).toHaveAttribute('data-position', 'bottom-center');
+    expect(group).toHaveAttribute('data-hidden-count', '1');
+    expect(toastQueue.element).not.toHaveAttribute('data-hidden-count');
+    expect(undo.itemRef).toHaveAttribute('data-swipeable', getSwipeableDirection('bottom-center'));
+
+    toastQueue.clear();
+
+    await vi.waitFor(() => {
+      expect(group.isConnected).toBe(false);
+    });
+  });
+
+  test('returns named queues from the registry', () => {
+    ToastQueue.register('undo', { position: 'bottom-center' });
+
+    const undo = ToastQueue.get('undo');
+
+    expect(ToastQueue.get('undo')).toBe(undo);
+    expect(undo.position).toBe('bottom-center');
+    expect(ToastQueue.default).toBe(ToastQueue.get('default'));
+
+    undo.destroy();
+    ToastQueue.default.destroy();
+
+    expect(ToastQueue.get('undo')).not.toBe(undo);
+
+    ToastQueue.get('undo').destroy();
+  });
+
+  test('limits visible toasts across named queues', async () => {
+    const alerts = new ToastQueue({ name: 'alerts' });
+    const undo = new ToastQueue({ name: 'undo', position: 'bottom-center' });
+
+    ToastQueue.coordinate({ visibleLimit: 1 });
+
+    const alert = alerts.add('Alert');
+
+    await expect.element(page.getByText('Alert')).toBeInTheDocument();
+
+    undo.add('Undo');
+
+    await expect.element(page.getByText('Undo')).toBeInTheDocument();
+    await vi.waitFor(() => {
+      expect(alert.itemRef).toHaveAttribute('data-hidden');
+    });
+
+    ToastQueue.coordinate();
+
+    expect(alert.itemRef).not.toHaveAttribute('data-hidden');
+
+    alerts.destroy();
+    undo.destroy();
+  });
+
+  test('pauses named queues together while one is hovered', async () => {
+    const alerts = new ToastQueue({ name: 'alerts' });
+    const undo = new ToastQueue({ name: 'undo', position: 'bottom-center' });
+
+    ToastQueue.coordinate({ pause: true });
+
+    alerts.add('Alert');
+    const undoToast = undo.add('Undo');
+
+    await expect.element(page.getByText('Undo')).toBeInTheDocument();
+
+    await userEvent.hover(page.getByText('Alert'));
+
+    await vi.waitFor(() => {
+      expect(undo.getSnapshot().paused).toBe(true);
+    });
+
+    expect(undoToast.timer.paused).toBe(true);
+
+    await userEvent.unhover(document.body);
+
+    await vi.waitFor(() => {
+      expect(undo.getSnapshot().paused).toBe(false);
+    });
+
+    ToastQueue.coordinate();
+
+    alerts.destroy();
+    undo.destroy();
+  });
+
   test('flags items beyond visibleLimit as hidden and exposes the count', async () => {
     toastQueue.visibleLimit = 2;
     toastQueue.add('First');
@@ -277,124 +581,1227 @@ describe('ToastQueue', () => {
     });
   });
 
-  test('returns toast by id', () => {
-    const toastRef = toastQueue.add('Toast message');
+  test('updates toast content in place', async () => {
+    const onUpdate = vi.fn();
+
+    toastQueue.element.addEventListener('toast-update', onUpdate);
+
+    const toastRef = toastQueue.add('Uploading…', { duration: 0 });
+
+    await expect.element(page.getByText('Uploading…')).toBeInTheDocument();
+
+    const item = document.querySelector(`[data-part="item"][data-id="${toastRef.id}"]`);
+
+    const result = toastQueue.update(toastRef.id, {
+      content: { title: 'Uploaded', description: 'report.pdf' },
+      icon: '<span>Icon</span>',
+      className: 'is-success',
+    });
 
+    expect(result).toBe(toastRef);
     expect(toastQueue.get(toastRef.id)).toBe(toastRef);
+
+    await expect.element(page.getByText('Uploaded')).toBeInTheDocument();
+    await expect.element(page.getByText('report.pdf')).toBeInTheDocument();
+    await expect.element(page.getByText('Icon')).toBeInTheDocument();
+
+    expect(document.querySelector(`[data-part="item"][data-id="${toastRef.id}"]`)).toBe(item);
+    expect(item).toHaveClass('is-success');
+    expect(item.style.getPropertyValue('view-transition-name')).toBe(`tq-item-${toastRef.id}`);
+
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+    expect(onUpdate.mock.calls[0][0].detail).toEqual({ toast: toastRef });
   });
 
-  test('clears all toast items', async () => {
-    toastQueue.add('First');
-    toastQueue.add('Second');
+  test('restarts the timer when updating duration', async () => {
+    const toastRef = toastQueue.add('Uploading…', { duration: 0 });
 
-    await expect.element(page.getByText('First')).toBeInTheDocument();
+    expect(toastRef.timer).toBeUndefined();
 
-    toastQueue.clear();
+    toastQueue.update(toastRef.id, { content: 'Uploaded', duration: 50 });
 
     await vi.waitFor(() => {
-      expect(document.querySelector('[data-part="item"]')).toBeNull();
+      expect(toastQueue.get(toastRef.id)).toBeUndefined();
     });
   });
 
-  test('clears pending toast timers on clear()', async () => {
-    const first = toastQueue.add('First', { duration: 50 });
-    const second = toastQueue.add('Second', { duration: 50 });
+  test('announces updated content using ariaNotify', async () => {
+    const ariaNotify = vi.fn();
 
-    toastQueue.clear();
+    HTMLElement.prototype.ariaNotify = ariaNotify;
 
-    await new Promise((resolve) => setTimeout(resolve, 100));
+    const toastRef = toastQueue.add('Uploading…');
 
-    expect(toastQueue.get(first.id)).toBeUndefined();
-    expect(toastQueue.get(second.id)).toBeUndefined();
-    expect(toastQueue.size).toBe(0);
-  });
+    await vi.waitFor(() => {
+      expect(ariaNotify).toHaveBeenCalledTimes(1);
+    });
 
-  test('clears pending toast timers on destroy()', () => {
-    const clearTimeoutSpy = vi.spyOn(window, 'clearTimeout');
+    toastQueue.update(toastRef.id, { content: 'Uploaded' });
 
-    toastQueue.add('First', { duration: 5000 });
+    expect(ariaNotify).toHaveBeenLastCalledWith('Uploaded', {
+      priority: 'normal',
+    });
 
-    clearTimeoutSpy.mockClear();
+    toastQueue.update(toastRef.id, { className: 'is-success' });
 
-    toastQueue.destroy();
+    expect(ariaNotify).toHaveBeenCalledTimes(2);
+  });
 
-    expect(clearTimeoutSpy).toHaveBeenCalledTimes(1);
+  test('returns undefined when updating an unknown toast', () => {
+    expect(toastQueue.update('missing', { content: 'Nope' })).toBeUndefined();
   });
 
-  test('auto dismisses toast', async () => {
-    const queue = new ToastQueue({
-      duration: 50,
+  test('shows a non-expiring loading toast for a pending promise', async () => {
+    let resolve;
+    const promise = new Promise((r) => {
+      resolve = r;
     });
 
-    const toastRef = queue.add('Toast message');
+    const onAdd = vi.fn();
 
-    await vi.waitFor(() => {
-      expect(queue.get(toastRef.id)).toBeUndefined();
+    toastQueue.element.addEventListener('toast-add', onAdd);
+
+    const result = toastQueue.promise(promise, {
+      loading: 'Saving…',
+      success: (value) => `Saved ${value}`,
     });
 
-    queue.destroy();
+    expect(result).toBe(promise);
+
+    const { toast } = onAdd.mock.calls[0][0].detail;
+
+    expect(toast.timer).toBeUndefined();
+    expect(toast.dismissible).toBe(false);
+
+    await expect.element(page.getByText('Saving…')).toBeInTheDocument();
+
+    resolve('profile');
+
+    await expect.element(page.getByText('Saved profile')).toBeInTheDocument();
+
+    expect(toastQueue.get(toast.id)).toBe(toast);
+    expect(toast.dismissible).toBe(true);
+    expect(toast.timer).toBeDefined();
   });
 
-  test('does not auto dismiss when duration is 0', async () => {
-    const tq = new ToastQueue({ duration: 0 });
+  test('keeps the priority passed to promise() once settled', async () => {
+    await toastQueue.promise(
+      Promise.resolve(),
+      { loading: 'Saving…', success: 'Saved' },
+      { priority: 'critical' },
+    );
 
-    const toastRef = tq.add('Toast message');
+    const [toast] = toastQueue.getSnapshot().toasts;
 
-    // Longer than the auto-dismiss test above uses, to be confident this
-    // isn't just "hasn't fired yet".
-    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(toast).toMatchObject({ type: 'success', priority: 'critical' });
+  });
 
-    expect(tq.get(toastRef.id)).toBe(toastRef);
+  test('shows error content when the promise rejects', async () => {
+    const promise = Promise.reject(new Error('Network error'));
+
+    toastQueue
+      .promise(
+        promise,
+        {
+          loading: 'Saving…',
+          success: 'Saved',
+          error: (error) => ({ title: 'Could not save', description: error.message }),
+        },
+        { duration: 50 },
+      )
+      .catch(() => {});
 
-    tq.destroy();
+    await expect.element(page.getByText('Network error')).toBeInTheDocument();
+
+    await vi.waitFor(() => {
+      expect(toastQueue.size).toBe(0);
+    });
   });
 
-  test('pauses and resumes timers', async () => {
-    const queue = new ToastQueue({ duration: 50 });
-    const toast = queue.add('Toast message');
+  test('coalesces toasts with the same key', async () => {
+    const onAdd = vi.fn();
+    const onRepeat = vi.fn();
 
-    const pause = vi.fn();
-    const resume = vi.fn();
+    toastQueue.element.addEventListener('toast-add', onAdd);
+    toastQueue.element.addEventListener('toast-repeat', onRepeat);
 
-    queue.element.addEventListener('pause', pause);
-    queue.element.addEventListener('resume', resume);
+    const first = toastQueue.add('Connection lost', { key: 'connection' });
+    const second = toastQueue.add('Connection lost', { key: 'connection' });
+    const third = toastQueue.add('Connection lost', { key: 'connection' });
 
-    queue.pause();
+    expect(second).toBe(first);
+    expect(third).toBe(first);
+    expect(first.count).toBe(3);
+    expect(toastQueue.size).toBe(1);
 
-    expect(pause).toHaveBeenCalledTimes(1);
+    expect(onAdd).toHaveBeenCalledTimes(1);
+    expect(onRepeat).toHaveBeenCalledTimes(2);
+    expect(onRepeat.mock.calls[1][0].detail).toEqual({ toast: first });
 
-    await new Promise((resolve) => setTimeout(resolve, 100));
+    await expect.element(page.getByText('Connection lost')).toBeInTheDocument();
 
-    // Timer should remain paused.
-    expect(queue.get(toast.id)).toBe(toast);
+    const item = document.querySelector(`[data-part="item"][data-id="${first.id}"]`);
 
-    queue.resume();
+    expect(item).toHaveAttribute('data-count', '3');
+    expect(item.querySelector('[data-part="count"]')).toHaveTextContent('3');
+  });
 
-    expect(resume).toHaveBeenCalledTimes(1);
+  test('removes count part for toasts that were not repeated', async () => {
+    toastQueue.add('Toast message', { key: 'message' });
+
+    await expect.element(page.getByText('Toast message')).toBeInTheDocument();
+
+    expect(document.querySelector('[data-part="item"]')).not.toHaveAttribute('data-count');
+    expect(document.querySelector('[data-part="count"]')).toBeNull();
+  });
+
+  test('restarts the timer of a repeated toast', async () => {
+    const toastRef = toastQueue.add('Connection lost', { key: 'connection', duration: 100 });
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+
+    toastQueue.add('Connection lost', { key: 'connection', duration: 100 });
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+
+    expect(toastQueue.get(toastRef.id)).toBe(toastRef);
 
     await vi.waitFor(() => {
-      expect(queue.get(toast.id)).toBeUndefined();
+      expect(toastQueue.get(toastRef.id)).toBeUndefined();
     });
-
-    queue.destroy();
   });
 
-  test('announces toast using ariaNotify', async () => {
+  test('announces repeated toasts at a limited rate', async () => {
     const ariaNotify = vi.fn();
 
     HTMLElement.prototype.ariaNotify = ariaNotify;
 
-    toastQueue.add('Toast message');
+    toastQueue.add('Connection lost', { key: 'connection' });
+    toastQueue.add('Connection lost', { key: 'connection' });
+    toastQueue.add('Connection lost', { key: 'connection' });
 
     await vi.waitFor(() => {
-      expect(ariaNotify).toHaveBeenCalledWith('Toast message', {
+      expect(ariaNotify).toHaveBeenCalledWith('Connection lost (3)', {
         priority: 'normal',
       });
     });
+
+    expect(ariaNotify).not.toHaveBeenCalledWith('Connection lost (2)', expect.anything());
   });
 
-  test('announces title and description using ariaNotify', async () => {
-    const ariaNotify = vi.fn();
+  test('renders typed toasts with a default icon and data-type', async () => {
+    const toastRef = toastQueue.success('Changes saved');
+
+    await expect.element(page.getByText('Changes saved')).toBeInTheDocument();
+
+    const item = document.querySelector(`[data-part="item"][data-id="${toastRef.id}"]`);
+
+    expect(toastRef.type).toBe('success');
+    expect(item).toHaveAttribute('data-type', 'success');
+    expect(item.querySelector('[data-part="icon"] svg')).not.toBeNull();
+  });
+
+  test('uses icons and durations from the queue options', async () => {
+    const queue = new ToastQueue({
+      icons: { info: '<span>Info icon</span>' },
+      durations: { info: 50 },
+    });
+
+    const toastRef = queue.info('Heads up');
+
+    await expect.element(page.getByText('Info icon')).toBeInTheDocument();
+
+    expect(toastRef.duration).toBe(50);
+
+    await vi.waitFor(() => {
+      expect(queue.get(toastRef.id)).toBeUndefined();
+    });
+
+    queue.destroy();
+  });
+
+  test('announces error toasts with high priority', async () => {
+    const ariaNotify = vi.fn();
+
+    HTMLElement.prototype.ariaNotify = ariaNotify;
+
+    const toastRef = toastQueue.error('Upload failed');
+
+    expect(toastRef.priority).toBe('high');
+
+    await vi.waitFor(() => {
+      expect(ariaNotify).toHaveBeenCalledWith('Upload failed', {
+        priority: 'high',
+      });
+    });
+  });
+
+  test('renders a spinner for loading toasts that never expire', async () => {
+    const queue = new ToastQueue({ duration: 50 });
+
+    const toastRef = queue.loading('Uploading…', { duration: 50 });
+
+    await expect.element(page.getByText('Uploading…')).toBeInTheDocument();
+
+    expect(toastRef.itemRef.querySelector('[data-part="spinner"]')).not.toBeNull();
+    expect(toastRef.timer).toBeUndefined();
+
+    queue.update(toastRef.id, { type: 'success', content: 'Uploaded' });
+
+    expect(toastRef.itemRef).toHaveAttribute('data-type', 'success');
+    expect(toastRef.itemRef.querySelector('[data-part="spinner"]')).toBeNull();
+
+    await vi.waitFor(() => {
+      expect(queue.get(toastRef.id)).toBeUndefined();
+    });
+
+    queue.destroy();
+  });
+
+  test('drops the oldest toasts when maxSize is reached', () => {
+    const queue = new ToastQueue({ maxSize: 2 });
+    const onToastClose = vi.fn();
+
+    queue.element.addEventListener('toast-close', onToastClose);
+
+    const first = queue.add('First');
+    const second = queue.add('Second');
+    const third = queue.add('Third');
+
+    expect(queue.size).toBe(2);
+    expect(queue.get(first.id)).toBeUndefined();
+    expect(queue.get(second.id)).toBe(second);
+    expect(queue.get(third.id)).toBe(third);
+
+    expect(onToastClose.mock.calls[0][0].detail).toEqual({
+      toast: first,
+      reason: 'overflow',
+    });
+
+    queue.destroy();
+  });
+
+  test('rejects new toasts with the drop-newest overflow strategy', () => {
+    const queue = new ToastQueue({ maxSize: 1, overflow: 'drop-newest' });
+
+    const first = queue.add('First');
+
+    expect(queue.add('Second')).toBeNull();
+    expect(queue.size).toBe(1);
+    expect(queue.get(first.id)).toBe(first);
+
+    queue.destroy();
+  });
+
+  test('folds overflowing toasts into a summary toast', async () => {
+    const queue = new ToastQueue({ maxSize: 2, overflow: 'summarize' });
+
+    queue.add('First');
+    queue.add('Second');
+    queue.add('Third');
+
+    await expect.element(page.getByText('1 more notification')).toBeInTheDocument();
+
+    queue.add('Fourth');
+
+    await expect.element(page.getByText('2 more notifications')).toBeInTheDocument();
+
+    // Two regular toasts plus the summary.
+    expect(queue.size).toBe(3);
+
+    queue.destroy();
+  });
+
+  test('shows toasts one at a time in sequential mode', async () => {
+    const ariaNotify = vi.fn();
+
+    HTMLElement.prototype.ariaNotify = ariaNotify;
+
+    const queue = new ToastQueue({ mode: 'sequential', visibleLimit: 1 });
+
+    const first = queue.add('First');
+    const second = queue.add('Second');
+
+    expect(queue.size).toBe(2);
+    expect(queue.get(second.id)).toBe(second);
+    expect(second.itemRef).toBeNull();
+    expect(second.timer).toBeUndefined();
+
+    await expect.element(page.getByText('First')).toBeInTheDocument();
+
+    expect(document.querySelectorAll('[data-part="item"]')).toHaveLength(1);
+    expect(ariaNotify).not.toHaveBeenCalledWith('Second', expect.anything());
+
+    queue.close(first.id);
+
+    await expect.element(page.getByText('Second')).toBeInTheDocument();
+
+    await vi.waitFor(() => {
+      expect(ariaNotify).toHaveBeenCalledWith('Second', { priority: 'normal' });
+    });
+
+    queue.destroy();
+  });
+
+  test('settles promise toasts waiting in the backlog', async () => {
+    const queue = new ToastQueue({ mode: 'sequential', visibleLimit: 1 });
+
+    const first = queue.add('First');
+
+    await queue.promise(Promise.resolve('profile'), {
+      loading: 'Saving…',
+      success: (value) => `Saved ${value}`,
+    });
+
+    const [, second] = queue.getSnapshot().toasts;
+
+    expect(second.type).toBe('success');
+    expect(second.content).toBe('Saved profile');
+    expect(second.queued).toBe(true);
+
+    queue.close(first.id);
+
+    await expect.element(page.getByText('Saved profile')).toBeInTheDocument();
+
+    queue.destroy();
+  });
+
+  test('waits for sequenceGap before promoting the next toast', async () => {
+    const queue = new ToastQueue({ mode: 'sequential', visibleLimit: 1, sequenceGap: 100 });
+
+    const first = queue.add('First');
+    const second = queue.add('Second');
+
+    queue.close(first.id);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(second.itemRef).toBeNull();
+
+    await expect.element(page.getByText('Second')).toBeInTheDocument();
+
+    queue.destroy();
+  });
+
+  test('closes backlogged toasts without rendering them', () => {
+    const queue = new ToastQueue({ mode: 'sequential', visibleLimit: 1 });
+    const onToastClose = vi.fn();
+
+    queue.element.addEventListener('toast-close', onToastClose);
+
+    queue.add('First');
+    const second = queue.add('Second');
+
+    queue.close(second.id);
+
+    expect(queue.get(second.id)).toBeUndefined();
+    expect(queue.size).toBe(1);
+    expect(onToastClose.mock.calls[0][0].detail).toEqual({
+      toast: second,
+      reason: 'manual',
+    });
+
+    queue.destroy();
+  });
+
+  test('orders items by priority in priority order', async () => {
+    const queue = new ToastQueue({ order: 'priority', visibleLimit: 3 });
+
+    queue.add('First', { priority: 'low' });
+    queue.add('Second');
+    queue.add('Third');
+    const critical = queue.add('Critical', { priority: 'critical' });
+    const urgent = queue.add('Urgent', { priority: 5 });
+
+    await expect.element(page.getByText('Urgent')).toBeInTheDocument();
+
+    await vi.waitFor(() => {
+      const items = [...queue.element.querySelectorAll('[data-part="item"]')];
+
+      expect(items.map((item) => item.textContent.trim().split(/\s/)[0])).toEqual([
+        'Urgent',
+        'Critical',
+        'Third',
+        'Second',
+        'First',
+      ]);
+    });
+
+    expect(urgent.itemRef).not.toHaveAttribute('data-hidden');
+    expect(critical.itemRef).not.toHaveAttribute('data-hidden');
+
+    queue.destroy();
+  });
+
+  test('announces critical toasts with high priority', async () => {
+    const ariaNotify = vi.fn();
+
+    HTMLElement.prototype.ariaNotify = ariaNotify;
+
+    toastQueue.add('Server down', { priority: 'critical' });
+
+    await vi.waitFor(() => {
+      expect(ariaNotify).toHaveBeenCalledWith('Server down', {
+        priority: 'high',
+      });
+    });
+  });
+
+  test('pauses timers of toasts beyond visibleLimit', async () => {
+    const queue = new ToastQueue({ duration: 100, visibleLimit: 1 });
+    const onShow = vi.fn();
+    const onHide = vi.fn();
+
+    queue.element.addEventListener('toast-show', onShow);
+    queue.element.addEventListener('toast-hide', onHide);
+
+    const first = queue.add('First');
+
+    await vi.waitFor(() => {
+      expect(onShow).toHaveBeenCalledWith(expect.objectContaining({ detail: { toast: first } }));
+    });
+
+    const second = queue.add('Second');
+
+    await vi.waitFor(() => {
+      expect(onHide).toHaveBeenCalledWith(expect.objectContaining({ detail: { toast: first } }));
+    });
+
+    // The hidden toast outlives its duration.
+    await vi.waitFor(() => {
+      expect(queue.get(second.id)).toBeUndefined();
+    });
+
+    expect(queue.get(first.id)).toBe(first);
+
+    // Once shown again, its timer resumes.
+    await vi.waitFor(() => {
+      expect(queue.get(first.id)).toBeUndefined();
+    });
+
+    queue.destroy();
+  });
+
+  test('returns toast by id', () => {
+    const toastRef = toastQueue.add('Toast message');
+
+    expect(toastQueue.get(toastRef.id)).toBe(toastRef);
+  });
+
+  test('clears all toast items', async () => {
+    toastQueue.add('First');
+    toastQueue.add('Second');
+
+    await expect.element(page.getByText('First')).toBeInTheDocument();
+
+    toastQueue.clear();
+
+    await vi.waitFor(() => {
+      expect(document.querySelector('[data-part="item"]')).toBeNull();
+    });
+  });
+
+  test('clears pending toast timers on clear()', async () => {
+    const first = toastQueue.add('First', { duration: 50 });
+    const second = toastQueue.add('Second', { duration: 50 });
+
+    toastQueue.clear();
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(toastQueue.get(first.id)).toBeUndefined();
+    expect(toastQueue.get(second.id)).toBeUndefined();
+    expect(toastQueue.size).toBe(0);
+  });
+
+  test('clears pending toast timers on destroy()', async () => {
+    const clearTimeoutSpy = vi.spyOn(window, 'clearTimeout');
+    const onShow = vi.fn();
+
+    toastQueue.element.addEventListener('toast-show', onShow);
+
+    toastQueue.add('First', { duration: 5000 });
+
+    // Timers only run once the toast is shown.
+    await vi.waitFor(() => {
+      expect(onShow).toHaveBeenCalledTimes(1);
+    });
+
+    clearTimeoutSpy.mockClear();
+
+    toastQueue.destroy();
+
+    expect(clearTimeoutSpy).toHaveBeenCalledTimes(1);
+  });
+
+  test('auto dismisses toast', async () => {
+    const queue = new ToastQueue({
+      duration: 50,
+    });
+
+    const toastRef = queue.add('Toast message');
+
+    await vi.waitFor(() => {
+      expect(queue.get(toastRef.id)).toBeUndefined();
+    });
+
+    queue.destroy();
+  });
+
+  test('does not auto dismiss when duration is 0', async () => {
+    const tq = new ToastQueue({ duration: 0 });
+
+    const toastRef = tq.add('Toast message');
+
+    // Longer than the auto-dismiss test above uses, to be confident this
+    // isn't just "hasn't fired yet".
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(tq.get(toastRef.id)).toBe(toastRef);
+
+    tq.destroy();
+  });
+
+  test('pauses and resumes timers', async () => {
+    const queue = new ToastQueue({ duration: 50 });
+    const toast = queue.add('Toast message');
+
+    const pause = vi.fn();
+    const resume = vi.fn();
+
+    queue.element.addEventListener('pause', pause);
+    queue.element.addEventListener('resume', resume);
+
+    queue.pause();
+
+    expect(pause).toHaveBeenCalledTimes(1);
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    // Timer should remain paused.
+    expect(queue.get(toast.id)).toBe(toast);
+
+    queue.resume();
+
+    expect(resume).toHaveBeenCalledTimes(1);
+
+    await vi.waitFor(() => {
+      expect(queue.get(toast.id)).toBeUndefined();
+    });
+
+    queue.destroy();
+  });
+
+  test('exposes timer progress', async () => {
+    const toastRef = toastQueue.add('Toast message', { duration: 1000 });
+
+    expect(toastRef.timer.duration).toBe(1000);
+
+    await vi.waitFor(() => {
+      expect(toastRef.timer.paused).toBe(false);
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    toastQueue.pause();
+
+    const { remaining, elapsed } = toastRef.timer;
+
+    expect(toastRef.timer.paused).toBe(true);
+    expect(elapsed).toBeGreaterThan(0);
+    expect(remaining + elapsed).toBe(1000);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    // Paused timers keep their remaining time.
+    expect(toastRef.timer.remaining).toBe(remaining);
+  });
+
+  test('drives the --tq-progress custom property', async () => {
+    const toastRef = toastQueue.add('Toast message', { duration: 1000 });
+
+    await vi.waitFor(() => {
+      const progress = Number(toastRef.itemRef.style.getPropertyValue('--tq-progress'));
+
+      expect(progress).toBeGreaterThan(0);
+      expect(progress).toBeLessThan(1);
+    });
+  });
+
+  test('hydrates server-rendered toasts', async () => {
+    const ariaNotify = vi.fn();
+    HTMLElement.prototype.ariaNotify = ariaNotify;
+
+    const container = document.createElement('div');
+    container.id = 'flash-messages';
+    container.innerHTML = `<toast-queue>
+      <ol data-part="group">
+        <li data-part="item" data-id="saved" data-type="success" data-duration="50">
+          <div data-part="toast">
+            <div data-part="content">Changes saved.</div>
+          </div>
+        </li>
+        <li data-part="item" data-id="welcome" data-dismissible="false">
+          <div data-part="toast">
+            <div data-part="content">
+              <span data-part="title">Welcome back</span>
+              <span data-part="description">You have 3 new messages.</span>
+            </div>
+          </div>
+        </li>
+      </ol>
+    </toast-queue>`;
+    document.body.append(container);
+
+    const element = container.querySelector('toast-queue');
+    const queue = new ToastQueue({ root: '#flash-messages' });
+
+    expect(queue.element).toBe(element);
+    expect(element).toHaveAttribute('popover', 'manual');
+    expect(queue.size).toBe(2);
+    expect(queue.get('saved')).toMatchObject({ type: 'success', content: 'Changes saved.' });
+    expect(queue.get('welcome')).toMatchObject({
+      dismissible: false,
+      content: { title: 'Welcome back', description: 'You have 3 new messages.' },
+    });
+    expect(ariaNotify).toHaveBeenCalledWith('Changes saved.', { priority: 'normal' });
+
+    await vi.waitFor(() => {
+      expect(queue.get('saved')).toBeUndefined();
+    });
+
+    expect(queue.size).toBe(1);
+
+    queue.destroy();
+    container.remove();
+  });
+
+  test('mounts into the body when the root selector matches nothing', () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const queue = new ToastQueue({ root: '#missing' });
+
+    expect(queue.element.parentElement).toBe(document.body);
+    expect(consoleError).toHaveBeenCalledTimes(1);
+
+    queue.destroy();
+  });
+
+  test('hydrates items with missing parts', () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const container = document.createElement('div');
+    container.id = 'flash-messages';
+    container.innerHTML = `<toast-queue>
+      <ol data-part="group">
+        <li data-part="item" data-id="plain" data-duration="5s" data-priority="urgent">
+          <div data-part="toast">Profile updated.</div>
+        </li>
+        <li data-part="item" data-id="broken">Not a toast</li>
+      </ol>
+    </toast-queue>`;
+    document.body.append(container);
+
+    const queue = new ToastQueue({ root: '#flash-messages' });
+
+    expect(queue.size).toBe(1);
+    expect(queue.get('plain')).toMatchObject({
+      content: 'Profile updated.',
+      duration: 6000,
+      priority: 'normal',
+    });
+    expect(queue.get('plain').timer).toBeDefined();
+    expect(container.querySelector('[data-id="broken"]')).toBeNull();
+    expect(consoleError).toHaveBeenCalledTimes(1);
+
+    queue.destroy();
+    container.remove();
+  });
+
+  test('adds toasts from data-toast triggers', async () => {
+    const queue = new ToastQueue({ triggers: true });
+    const trigger = document.createElement('button');
+
+    trigger.textContent = 'Save';
+    trigger.dataset.toast = 'Saved';
+    trigger.dataset.toastType = 'success';
+    trigger.dataset.toastDuration = '3000';
+    document.body.append(trigger);
+
+    await userEvent.click(trigger);
+
+    const [toast] = [...queue.element.querySelectorAll('[data-part="item"]')].map((item) =>
+      queue.get(item.dataset.id),
+    );
+
+    expect(queue.size).toBe(1);
+    expect(toast).toMatchObject({ content: 'Saved', type: 'success', duration: 3000 });
+
+    queue.destroy();
+    await userEvent.click(trigger);
+
+    expect(queue.size).toBe(0);
+
+    trigger.remove();
+  });
+
+  test('ignores invalid durations and priorities on data-toast triggers', async () => {
+    const queue = new ToastQueue({ triggers: true });
+    const onAdd = vi.fn();
+    const trigger = document.createElement('button');
+
+    queue.element.addEventListener('toast-add', onAdd);
+
+    trigger.textContent = 'Save';
+    trigger.dataset.toast = 'Saved';
+    trigger.dataset.toastDuration = '3s';
+    trigger.dataset.toastPriority = 'urgent';
+    document.body.append(trigger);
+
+    await userEvent.click(trigger);
+
+    const { toast } = onAdd.mock.calls[0][0].detail;
+
+    expect(toast).toMatchObject({ duration: 6000, priority: 'normal' });
+    expect(toast.timer).toBeDefined();
+
+    queue.destroy();
+    trigger.remove();
+  });
+
+  test('handles invoker commands targeting the queue', async () => {
+    toastQueue.element.id = 'toasts';
+
+    const add = document.createElement('button');
+    const clear = document.createElement('button');
+
+    add.textContent = 'Add';
+    add.setAttribute('commandfor', 'toasts');
+    add.setAttribute('command', '--toast-add');
+    add.dataset.toast = 'Saved';
+
+    clear.textContent = 'Clear';
+    clear.setAttribute('commandfor', 'toasts');
+    clear.setAttribute('command', '--toast-clear');
+
+    document.body.append(add, clear);
+
+    await userEvent.click(add);
+
+    expect(toastQueue.size).toBe(1);
+    await expect.element(page.getByText('Saved')).toBeInTheDocument();
+
+    await userEvent.click(clear);
+
+    expect(toastQueue.size).toBe(0);
+
+    add.remove();
+    clear.remove();
+  });
+
+  test('mirrors toasts to queues on the same channel', async () => {
+    const queue = new ToastQueue({ channel: 'toast-queue-test' });
+    const otherQueue = new ToastQueue({ channel: 'toast-queue-test' });
+    const onClose = vi.fn();
+
+    queue.element.addEventListener('toast-close', onClose);
+
+    const toastRef = queue.add('Session expired');
+    queue.add('Local only', { broadcast: false });
+
+    await vi.waitFor(() => {
+      expect(otherQueue.get(toastRef.id)?.content).toBe('Session expired');
+    });
+
+    expect(otherQueue.size).toBe(1);
+
+    otherQueue.close(toastRef.id, 'button');
+
+    await vi.waitFor(() => {
+      expect(queue.get(toastRef.id)).toBeUndefined();
+    });
+
+    expect(onClose.mock.calls[0][0].detail.reason).toBe('remote');
+    expect(queue.size).toBe(1);
+
+    queue.destroy();
+    otherQueue.destroy();
+  });
+
+  test('closes mirrored toasts whose key is already queued in the other tab', async () => {
+    const queue = new ToastQueue({ channel: 'toast-queue-test' });
+    const otherQueue = new ToastQueue({ channel: 'toast-queue-test' });
+
+    const local = otherQueue.add('Connection lost', { key: 'connection', broadcast: false });
+    const toastRef = queue.add('Connection lost', { key: 'connection' });
+
+    await vi.waitFor(() => {
+      expect(otherQueue.get(toastRef.id)).toBeDefined();
+    });
+
+    expect(local.count).toBe(1);
+
+    queue.close(toastRef.id);
+
+    await vi.waitFor(() => {
+      expect(otherQueue.get(toastRef.id)).toBeUndefined();
+    });
+
+    expect(otherQueue.get(local.id)).toBe(local);
+
+    queue.destroy();
+    otherQueue.destroy();
+  });
+
+  test('mirrors promise toasts and their timeout to queues on the same channel', async () => {
+    const queue = new ToastQueue({ channel: 'toast-queue-test' });
+    const otherQueue = new ToastQueue({ channel: 'toast-queue-test' });
+    const onAdd = vi.fn();
+    let resolve;
+
+    queue.element.addEventListener('toast-add', onAdd);
+
+    queue.promise(
+      new Promise((r) => {
+        resolve = r;
+      }),
+      { loading: 'Saving…', success: 'Saved' },
+      { duration: 100 },
+    );
+
+    const { toast } = onAdd.mock.calls[0][0].detail;
+
+    await vi.waitFor(() => {
+      expect(otherQueue.get(toast.id)?.type).toBe('loading');
+    });
+
+    // The other tab's copy is paused, so only the origin's timeout closes it.
+    otherQueue.pause();
+    resolve();
+
+    await vi.waitFor(() => {
+      expect(otherQueue.get(toast.id)).toMatchObject({ type: 'success', content: 'Saved' });
+    });
+
+    await vi.waitFor(() => {
+      expect(otherQueue.get(toast.id)).toBeUndefined();
+    });
+
+    expect(queue.get(toast.id)).toBeUndefined();
+
+    queue.destroy();
+    otherQueue.destroy();
+  });
+
+  test('gives every added toast its own id', async () => {
+    const first = toastQueue.add('First', { id: 'shared' });
+    const second = toastQueue.add('Second', { id: 'shared' });
+
+    expect(first.id).not.toBe(second.id);
+    expect(toastQueue.size).toBe(2);
+
+    toastQueue.close(second.id);
+
+    expect(toastQueue.get(first.id)).toBe(first);
+    await expect.element(page.getByText('First')).toBeInTheDocument();
+  });
+
+  test('persists pending toasts for the next queue', async () => {
+    const store = new Map();
+    const storage = {
+      getItem: (key) => store.get(key) ?? null,
+      setItem: (key, value) => store.set(key, value),
+      removeItem: (key) => store.delete(key),
+    };
+
+    const queue = new ToastQueue({ persist: storage, duration: 5000 });
+
+    queue.add('Saved', { type: 'success', action: { label: 'View', href: '/saved' } });
+    queue.loading('Uploading…');
+
+    window.dispatchEvent(new Event('pagehide'));
+    queue.destroy();
+
+    const [persisted] = JSON.parse(store.get('toast-queue'));
+
+    expect(JSON.parse(store.get('toast-queue'))).toHaveLength(1);
+    expect(persisted.content).toBe('Saved');
+    expect(persisted.options).toMatchObject({
+      type: 'success',
+      actions: [{ label: 'View', href: '/saved' }],
+    });
+    expect(persisted.options.duration).toBeGreaterThan(0);
+    expect(persisted.options.duration).toBeLessThanOrEqual(5000);
+
+    const nextQueue = new ToastQueue({ persist: storage });
+
+    expect(nextQueue.size).toBe(1);
+    expect(store.has('toast-queue')).toBe(false);
+    await expect.element(page.getByText('Saved')).toBeInTheDocument();
+
+    nextQueue.destroy();
+  });
+
+  test('removes its persisted toasts when the page is restored from the cache', () => {
+    const store = new Map();
+    const storage = {
+      getItem: (key) => store.get(key) ?? null,
+      setItem: (key, value) => store.set(key, value),
+      removeItem: (key) => store.delete(key),
+    };
+
+    const queue = new ToastQueue({ persist: storage });
+
+    queue.add('Saved', { duration: 0 });
+
+    window.dispatchEvent(new PageTransitionEvent('pagehide', { persisted: true }));
+
+    expect(JSON.parse(store.get('toast-queue'))).toHaveLength(1);
+
+    ToastQueue.flash('Signed out.', {}, { storage });
+    window.dispatchEvent(new PageTransitionEvent('pageshow', { persisted: true }));
+
+    const persisted = JSON.parse(store.get('toast-queue'));
+
+    expect(persisted).toHaveLength(1);
+    expect(persisted[0].content).toBe('Signed out.');
+    expect(queue.size).toBe(1);
+
+    queue.destroy();
+  });
+
+  test('shows flashed toasts on the next queue with persist', async () => {
+    ToastQueue.flash('Signed out.', { type: 'success' });
+
+    const queue = new ToastQueue({ persist: true });
+
+    expect(queue.size).toBe(1);
+    expect(sessionStorage.getItem('toast-queue')).toBeNull();
+    await expect.element(page.getByText('Signed out.')).toBeInTheDocument();
+
+    queue.destroy();
+  });
+
+  test('keeps a bounded history of closed toasts', () => {
+    const queue = new ToastQueue({ historySize: 2 });
+    const onHistoryChange = vi.fn();
+
+    queue.element.addEventListener('history-change', onHistoryChange);
+
+    const first = queue.add('First');
+    const second = queue.add('Second', { type: 'success' });
+    const third = queue.add('Third');
+
+    queue.close(first.id);
+    queue.close(second.id, 'button');
+    queue.close(third.id, 'escape');
+
+    expect(onHistoryChange).toHaveBeenCalledTimes(3);
+    expect(queue.history.map(({ id, reason }) => ({ id, reason }))).toEqual([
+      { id: third.id, reason: 'escape' },
+      { id: second.id, reason: 'button' },
+    ]);
+    expect(queue.history[1]).toMatchObject({
+      content: 'Second',
+      type: 'success',
+      timestamp: second.timestamp,
+      closedAt: expect.any(Number),
+    });
+    expect(onHistoryChange.mock.lastCall[0].detail.history).toEqual(queue.history);
+
+    queue.destroy();
+  });
+
+  test('restores toasts from the history panel', async () => {
+    const queue = new ToastQueue({ historyPanel: true });
+    const control = document.createElement('button');
+
+    control.dataset.command = 'history';
+    control.textContent = 'Recent notifications';
+    document.body.append(control);
+
+    const toastRef = queue.add('Toast message');
+
+    queue.close(toastRef.id);
+
+    const panel = queue.element.querySelector('[data-part="history"]');
+    control.setAttribute('aria-controls', panel.id);
+
+    expect(panel).not.toBeVisible();
+
+    await userEvent.click(control);
+
+    expect(panel).toBeVisible();
+    expect(control).toHaveAttribute('aria-expanded', 'true');
+    expect(panel.querySelector('[data-part="history-item"]')).toHaveTextContent('Toast message');
+    expect(panel.querySelector('time')).toHaveAttribute('datetime');
+
+    await page.getByRole('button', { name: 'Restore' }).click();
+
+    expect(queue.size).toBe(1);
+    expect(queue.history).toHaveLength(0);
+    expect(panel.querySelector('[data-part="history-item"]')).toBeNull();
+
+    await userEvent.click(control);
+
+    expect(panel).not.toBeVisible();
+    expect(control).toHaveAttribute('aria-expanded', 'false');
+
+    control.remove();
+    queue.destroy();
+  });
+
+  test('derives auto durations from reading time', () => {
+    const queue = new ToastQueue({
+      duration: 'auto',
+      readingTime: { wordsPerMinute: 60, minDuration: 2000, maxDuration: 8000, actionTime: 1000 },
+    });
+
+    const short = queue.add('Copied');
+    const long = queue.add({
+      title: 'Upload failed',
+      description: 'Check your connection and try again',
+    });
+    const withAction = queue.add('Message archived', { action: { label: 'Undo' } });
+    const fixed = queue.add('Fixed', { duration: 500 });
+
+    expect(short.duration).toBe('auto');
+    expect(short.timer.duration).toBe(2000);
+    expect(long.timer.duration).toBe(8000);
+    expect(withAction.timer.duration).toBe(3000);
+    expect(fixed.timer.duration).toBe(500);
+
+    queue.update(short.id, { content: 'Copied to the clipboard' });
+
+    expect(short.timer.duration).toBe(4000);
+
+    queue.destroy();
+  });
+
+  test('leaves auto duration toasts a grace period after hover', async () => {
+    const queue = new ToastQueue({
+      duration: 'auto',
+      readingTime: { minDuration: 500, maxDuration: 500, resumeGrace: 2000 },
+    });
+    const onShow = vi.fn();
+
+    queue.element.addEventListener('toast-show', onShow);
+
+    const toastRef = queue.add('Toast message');
+    const toast = page.getByText('Toast message');
+
+    await vi.waitFor(() => {
+      expect(onShow).toHaveBeenCalledTimes(1);
+    });
+
+    await userEvent.hover(toast);
+    await userEvent.unhover(document.body);
+
+    expect(toastRef.timer.remaining).toBeGreaterThan(1500);
+
+    queue.destroy();
+  });
+
+  test('pauses and resumes a single toast', async () => {
+    const queue = new ToastQueue({ duration: 50 });
+    const pause = vi.fn();
+    const resume = vi.fn();
+
+    queue.element.addEventListener('pause', pause);
+    queue.element.addEventListener('resume', resume);
+
+    const first = queue.add('First');
+    const second = queue.add('Second');
+
+    queue.pause(first.id);
+
+    expect(pause.mock.calls[0][0].detail).toEqual({
+      id: first.id,
+      reason: 'manual',
+      reasons: ['manual'],
+    });
+
+    await vi.waitFor(() => {
+      expect(queue.get(second.id)).toBeUndefined();
+    });
+
+    expect(queue.get(first.id)).toBe(first);
+
+    queue.resume(first.id);
+
+    expect(resume.mock.calls[0][0].detail).toEqual({
+      id: first.id,
+      reason: 'manual',
+      reasons: [],
+    });
+
+    await vi.waitFor(() => {
+      expect(queue.get(first.id)).toBeUndefined();
+    });
+
+    queue.destroy();
+  });
+
+  test('pins a toast through the pin command', async () => {
+    const queue = new ToastQueue({
+      duration: 50,
+      template: {
+        item: `<li data-part="item">
+          <div data-part="toast">
+            <div data-part="icon"></div>
+            <div data-part="content">
+              <span data-part="title"></span>
+              <span data-part="description"></span>
+            </div>
+            <div data-part="actions"></div>
+            <button type="button" data-command="pin">Pin</button>
+            <button type="button" data-part="close-button" data-command="close" aria-label="Close">&times;</button>
+          </div>
+        </li>`,
+      },
+    });
+
+    const toastRef = queue.add('Toast message');
+    const pin = page.getByRole('button', { name: 'Pin' });
+
+    await expect.element(pin).toHaveAttribute('aria-pressed', 'false');
+
+    await pin.click();
+
+    expect(toastRef.itemRef).toHaveAttribute('data-pinned');
+    await expect.element(pin).toHaveAttribute('aria-pressed', 'true');
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(queue.get(toastRef.id)).toBe(toastRef);
+
+    queue.unpin(toastRef.id);
+
+    expect(toastRef.itemRef).not.toHaveAttribute('data-pinned');
+
+    await vi.waitFor(() => {
+      expect(queue.get(toastRef.id)).toBeUndefined();
+    });
+
+    queue.destroy();
+  });
+
+  test('announces toast using ariaNotify', async () => {
+    const ariaNotify = vi.fn();
+
+    HTMLElement.prototype.ariaNotify = ariaNotify;
+
+    toastQueue.add('Toast message');
+
+    await vi.waitFor(() => {
+      expect(ariaNotify).toHaveBeenCalledWith('Toast message', {
+        priority: 'normal',
+      });
+    });
+  });
+
+  test('announces title and description using ariaNotify', async () => {
+    const ariaNotify = vi.fn();
 
     HTMLElement.prototype.ariaNotify = ariaNotify;
 
@@ -410,6 +1817,72 @@ describe('ToastQueue', () => {
     });
   });
 
+  test('renders node content with an announcement override', async () => {
+    const ariaNotify = vi.fn();
+
+    HTMLElement.prototype.ariaNotify = ariaNotify;
+
+    const link = document.createElement('a');
+    link.href = '/reports/1';
+    link.textContent = 'Open report';
+
+    const toast = toastQueue.add(link, { announcement: 'Your report is ready' });
+
+    await expect.element(page.getByRole('link', { name: 'Open report' })).toBeInTheDocument();
+    expect(toast.itemRef.contains(link)).toBe(true);
+
+    await vi.waitFor(() => {
+      expect(ariaNotify).toHaveBeenCalledWith('Your report is ready', {
+        priority: 'normal',
+      });
+    });
+  });
+
+  test('customizes items with a render hook', async () => {
+    toastQueue.destroy();
+    toastQueue = new ToastQueue({
+      render: (toast, parts) => {
+        const time = document.createElement('time');
+        time.dateTime = new Date(toast.timestamp).toISOString();
+        time.textContent = 'just now';
+        parts.content.append(time);
+      },
+    });
+
+    const toast = toastQueue.add('Toast message');
+    const toastPart = toast.itemRef.querySelector('[data-part="toast"]');
+
+    await expect.element(page.getByText('just now')).toBeInTheDocument();
+    expect(toast.itemRef.dataset.id).toBe(toast.id);
+    expect(toastPart).toHaveAttribute('aria-labelledby', `tq:${toast.id}:title`);
+  });
+
+  test('falls back to the default item when render returns no usable item', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    toastQueue.destroy();
+    toastQueue = new ToastQueue({
+      render: (toast) => {
+        if (toast.content === 'Fragment') return document.createDocumentFragment();
+
+        const item = document.createElement('li');
+        item.textContent = toast.content;
+        return item;
+      },
+    });
+
+    const fragmentToast = toastQueue.add('Fragment');
+    const elementToast = toastQueue.add('Element');
+
+    await expect.element(page.getByText('Element')).toBeInTheDocument();
+
+    for (const toast of [fragmentToast, elementToast]) {
+      expect(toast.itemRef.querySelector('[data-part="toast"]')).toHaveTextContent(toast.content);
+    }
+
+    expect(consoleError).toHaveBeenCalledTimes(2);
+  });
+
   test('moves focus after closing focused toast', async () => {
     const first = toastQueue.add('First');
     const second = toastQueue.add('Second');
@@ -465,6 +1938,50 @@ describe('ToastQueue', () => {
     queue.destroy();
   });
 
+  test('notifies subscribers with immutable snapshots', () => {
+    const listener = vi.fn();
+    const unsubscribe = toastQueue.subscribe(listener);
+    const initial = toastQueue.getSnapshot();
+
+    expect(initial).toEqual({ toasts: [], paused: false, active: false, hiddenCount: 0 });
+    expect(toastQueue.getSnapshot()).toBe(initial);
+
+    const toast = toastQueue.add('Toast message', {
+      action: { label: 'Undo', onClick: () => {} },
+    });
+    const snapshot = toastQueue.getSnapshot();
+
+    expect(listener).toHaveBeenCalled();
+    expect(snapshot).not.toBe(initial);
+    expect(Object.isFrozen(snapshot.toasts)).toBe(true);
+    expect(snapshot.toasts).toMatchObject([
+      {
+        id: toast.id,
+        content: 'Toast message',
+        actions: [{ label: 'Undo' }],
+        queued: false,
+        paused: false,
+        pinned: false,
+      },
+    ]);
+    expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+
+    toastQueue.pin(toast.id);
+    toastQueue.pause();
+
+    expect(toastQueue.getSnapshot()).toMatchObject({
+      toasts: [{ paused: true, pinned: true }],
+      paused: true,
+    });
+
+    unsubscribe();
+    listener.mockClear();
+    toastQueue.close(toast.id);
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(toastQueue.getSnapshot().toasts).toEqual([]);
+  });
+
   test('dispatches toast-add event', () => {
     const listener = vi.fn();
 
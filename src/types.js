@@ -8,19 +8,91 @@
  * Configuration options for a {@link ToastQueue}.
  *
  * @typedef {Object} ToastQueueOptions
- * @property {HTMLElement} [root=document.body]
- *   Container into which the queue is mounted.
- * @property {number} [duration=6000]
+ * @property {HTMLElement|string} [root=document.body]
+ *   Container into which the queue is mounted, or a selector for it. An
+ *   existing `<toast-queue>` element that is the container or inside it is
+ *   adopted, and its server-rendered toast items become toasts. When the
+ *   selector matches nothing, the queue is mounted into `document.body`.
+ * @property {ToastDuration} [duration=6000]
  *   Default auto-dismiss duration in milliseconds. Use `0` to disable
- *   automatic dismissal.
+ *   automatic dismissal or `'auto'` to derive it from the toast's text.
+ * @property {Partial<Record<ToastType, ToastDuration>>} [durations]
+ *   Default auto-dismiss durations per toast type. Types without an entry
+ *   use `duration`. `loading` toasts never expire.
+ * @property {ToastReadingTime} [readingTime]
+ *   How `'auto'` durations are calculated.
+ * @property {Partial<Record<ToastType, string>>} [icons]
+ *   Trusted HTML markup used as the default icon per toast type. Entries
+ *   replace the built-in icons.
  * @property {ToastQueuePosition} [position='top-end']
  *   Position of the toast queue.
  * @property {number} [visibleLimit=3]
  *   Number of toasts considered visible at once. Additional toasts remain
  *   queued and can be exposed by CSS presets.
+ * @property {ToastQueueMode} [mode='stack']
+ *   Display mode of the queue.
+ * @property {number} [sequenceGap=0]
+ *   Delay in milliseconds before the next backlogged toast is shown in
+ *   `sequential` mode.
+ * @property {ToastQueueOrder} [order='time']
+ *   How toasts are ordered within the queue.
+ * @property {number} [maxSize=Infinity]
+ *   Maximum number of toasts kept in the queue. `overflow` decides what
+ *   happens when a toast is added to a full queue.
+ * @property {ToastQueueOverflow} [overflow='drop-oldest']
+ *   Strategy used when the queue holds `maxSize` toasts.
+ * @property {function(number): ToastContent} [overflowSummary]
+ *   Returns the content of the `summarize` toast for the number of folded
+ *   toasts. Defaults to "N more notifications".
+ * @property {number} [historySize=20]
+ *   Number of closed toasts kept in the history. Use `0` to disable the
+ *   history.
+ * @property {boolean} [historyPanel=false]
+ *   Whether to render a panel listing the history, toggled by
+ *   `data-command="history"` controls.
+ * @property {boolean|ToastStorage} [persist=false]
+ *   Carries pending toasts over to the next page. `true` uses
+ *   `sessionStorage`. Toasts are stored with their remaining time when the
+ *   page is left and shown by the next queue created with `persist`.
+ * @property {string} [persistKey='toast-queue']
+ *   Storage key for persisted toasts.
+ * @property {boolean} [triggers=false]
+ *   Whether clicking elements with a `data-toast` attribute anywhere in the
+ *   document adds a toast to this queue.
+ * @property {string} [channel]
+ *   BroadcastChannel name used to mirror added, updated and closed toasts to
+ *   queues in other tabs. Toasts closed by overflow are only closed locally,
+ *   and timeouts are only mirrored from the tab that added the toast. Only
+ *   actions with an `href` are mirrored, and nodes in the content are sent
+ *   as text.
+ * @property {string} [hotkey]
+ *   Keyboard shortcut, such as `'Alt+T'` or `'F6'`, that moves focus to the
+ *   newest toast. Pressing it again, or Escape, returns focus to the
+ *   element that had it before.
+ * @property {function(number): string} [regionLabel]
+ *   Returns the accessible name of the queue's `region` landmark for the
+ *   number of toasts. Defaults to "Notifications, N items".
+ * @property {string} [name]
+ *   Registers the queue under a name, so {@link ToastQueue.get} returns it
+ *   and it coordinates with other named queues.
  * @property {ToastQueueTemplate} [template]
  *   Optional HTML templates used to render the queue, toast items, and
  *   action buttons.
+ * @property {ToastRenderer} [render]
+ *   Customizes each rendered toast item, e.g. to add an avatar or a
+ *   `<time>` element.
+ */
+
+/**
+ * How named queues coordinate, set with {@link ToastQueue.coordinate}.
+ *
+ * @typedef {Object} ToastQueueCoordination
+ * @property {number} [visibleLimit=Infinity]
+ *   Number of toasts shown at once across all named queues. The newest
+ *   toasts are shown. Each queue's own `visibleLimit` still applies.
+ * @property {boolean} [pause=false]
+ *   Whether hovering, focusing or clicking one named queue pauses the
+ *   timers of all named queues.
  */
 
 /**
@@ -29,6 +101,72 @@
  * @typedef {'top-start'|'top-center'|'top-end'|'bottom-start'|'bottom-center'|'bottom-end'} ToastQueuePosition
  */
 
+/**
+ * Display mode of the queue.
+ *
+ * - `stack` renders every toast immediately. Toasts beyond `visibleLimit`
+ *   are marked `data-hidden`.
+ * - `sequential` renders at most `visibleLimit` toasts. Later toasts wait in
+ *   a backlog and are shown, timed and announced one by one as earlier
+ *   toasts close, like snackbars.
+ *
+ * @typedef {'stack'|'sequential'} ToastQueueMode
+ */
+
+/**
+ * Order of toasts within the queue.
+ *
+ * - `time` shows the newest toast first.
+ * - `priority` shows toasts with a higher priority level first, then the
+ *   newest first. Urgent toasts always fall within `visibleLimit`, and in
+ *   `sequential` mode they are shown before other backlogged toasts.
+ *
+ * @typedef {'time'|'priority'} ToastQueueOrder
+ */
+
+/**
+ * Strategy used when a toast is added to a full queue.
+ *
+ * - `drop-oldest` closes the oldest toasts with the `overflow` reason.
+ * - `drop-newest` rejects the new toast. `add()` returns `null`.
+ * - `summarize` closes the oldest toasts with the `overflow` reason and
+ *   counts them in a single "N more notifications" toast, which does not
+ *   count toward `maxSize`.
+ *
+ * @typedef {'drop-oldest'|'drop-newest'|'summarize'} ToastQueueOverflow
+ */
+
+/**
+ * Auto-dismiss duration of a toast.
+ *
+ * A number of milliseconds, where `0` disables automatic dismissal, or
+ * `'auto'` to calculate the duration from the reading time of the toast's
+ * text.
+ *
+ * @typedef {number|'auto'} ToastDuration
+ */
+
+/**
+ * Settings for toasts with an `'auto'` duration.
+ *
+ * The duration is the word count of the announced text divided by
+ * `wordsPerMinute`, plus `actionTime` when the toast has actions, bounded
+ * by `minDuration` and `maxDuration`.
+ *
+ * @typedef {Object} ToastReadingTime
+ * @property {number} [wordsPerMinute=200]
+ *   Assumed reading speed.
+ * @property {number} [minDuration=3000]
+ *   Shortest calculated duration in milliseconds.
+ * @property {number} [maxDuration=12000]
+ *   Longest calculated duration in milliseconds.
+ * @property {number} [actionTime=3000]
+ *   Extra time in milliseconds for toasts with actions.
+ * @property {number} [resumeGrace=1500]
+ *   Minimum time in milliseconds left on the timer when it resumes after
+ *   the queue was hovered or focused.
+ */
+
 /**
  * HTML templates used to render a toast queue.
  *
@@ -42,19 +180,69 @@
  *   HTML for an individual toast item.
  * @property {string} [actionButton]
  *   HTML for an individual action button.
+ * @property {string} [actionLink]
+ *   HTML for an individual action rendered as a link, used for actions with
+ *   an `href`.
+ * @property {string} [history]
+ *   HTML for the history panel. Must contain a `history-list` part.
+ * @property {string} [restoreButton]
+ *   HTML for the restore button of a history entry.
+ */
+
+/**
+ * Called with each toast item rendered from the `item` template.
+ *
+ * The queue still sets the item's `data-id`, `data-type`, swipe attributes
+ * and `view-transition-name`, and labels its `toast` part, so the returned
+ * item must contain a `[data-part="toast"]` element. Items in the history
+ * panel are rendered with their {@link ToastHistoryEntry}.
+ *
+ * @callback ToastRenderer
+ * @param {ToastRecord|ToastHistoryEntry} toast
+ *   The toast being rendered.
+ * @param {ToastParts} parts
+ *   The cloned item template, filled with the toast's content.
+ * @returns {HTMLLIElement|DocumentFragment|void}
+ *   The item to use, or a fragment containing it. It must contain a
+ *   `[data-part="toast"]` element. The filled item is used when nothing is
+ *   returned or the returned item has no toast part.
+ */
+
+/**
+ * Parts of a cloned item template passed to a {@link ToastRenderer}.
+ *
+ * Parts that the toast doesn't use, such as the icon of a toast without
+ * one, are removed and `null`.
+ *
+ * @typedef {Object} ToastParts
+ * @property {DocumentFragment} fragment
+ *   The cloned item template.
+ * @property {HTMLLIElement} item
+ * @property {HTMLElement} toast
+ * @property {HTMLElement|null} icon
+ * @property {HTMLElement|null} content
+ * @property {HTMLElement|null} title
+ * @property {HTMLElement|null} description
+ * @property {HTMLElement|null} count
+ * @property {HTMLElement|null} actions
+ * @property {HTMLElement|null} closeButton
  */
 
 /**
  * Content displayed by a toast.
  *
- * @typedef {string | ToastContentObject} ToastContent
+ * Nodes, such as links, `<time>` elements or fragments, are rendered as
+ * they are. Fragments are cloned, other nodes are moved into the toast.
+ * Use the `announcement` option to set the text that is announced for them.
+ *
+ * @typedef {string | Node | ToastContentObject} ToastContent
  */
 
 /**
  * @typedef {Object} ToastContentObject
- * @property {string} title
+ * @property {string|Node} title
  *   Primary toast message.
- * @property {string} [description]
+ * @property {string|Node} [description]
  *   Optional supporting text displayed below the title.
  */
 
@@ -62,29 +250,124 @@
  * Configuration for an individual toast.
  *
  * @typedef {Object} ToastOptions
- * @property {number} [duration]
- *   Auto-dismiss duration in milliseconds. `0` disables automatic dismissal.
+ * @property {ToastType} [type]
+ *   Toast type. Sets `data-type` on the item and provides a default icon,
+ *   priority and duration.
+ * @property {string} [key]
+ *   Deduplication key. Adding a toast with the key of a toast that is still
+ *   queued reuses the existing toast and increases its repeat count.
+ * @property {ToastDuration} [duration]
+ *   Auto-dismiss duration in milliseconds. `0` disables automatic dismissal
+ *   and `'auto'` derives it from the toast's text.
  * @property {boolean} [dismissible=true]
  *   Whether the toast can be manually dismissed.
- * @property {ToastPriority} [priority='normal']
- *   Announcement priority passed to `ariaNotify()`.
+ * @property {ToastPriority} [priority]
+ *   Priority used for announcements and `priority` ordering. Defaults to
+ *   `high` for `error` toasts and `normal` otherwise.
  * @property {string} [className]
  *   Additional CSS class names applied to the toast.
  * @property {string} [icon]
- *   Trusted HTML markup rendered in the toast's icon slot.
+ *   Trusted HTML markup rendered in the toast's icon slot. Overrides the
+ *   default icon of the toast type.
  *   Do not pass user-controlled or unsanitized content.
  * @property {ToastAction} [action]
- *   Optional action button configuration.
+ *   Optional action button configuration. Shorthand for a single entry in
+ *   `actions`.
+ * @property {ToastAction[]} [actions]
+ *   Optional action buttons, rendered in order. Takes precedence over
+ *   `action`.
+ * @property {string} [announcement]
+ *   Text announced to screen readers instead of the toast's content. Nodes
+ *   are otherwise announced with their text content.
+ * @property {ToastQueuePosition} [position]
+ *   Position of the toast. Defaults to the queue position. Toasts at other
+ *   positions are rendered in a separate group with its own `data-position`
+ *   and visible limit, sharing the queue's pause and activation state.
  * @property {ToastCloseHandler} [onClose]
  *   Called after the toast has been closed and removed from the queue.
+ * @property {boolean} [broadcast=true]
+ *   Whether the toast is mirrored to other tabs when the queue has a
+ *   `channel`.
  */
 
 /**
- * Toast priority used for screen-reader announcements.
+ * Properties that can be changed on an existing toast with
+ * {@link ToastQueue#update}.
+ *
+ * Only the properties present on the object are changed. Pass `undefined`
+ * to remove an optional property such as `icon` or `action`.
  *
- * `high` requests a higher announcement priority from `ariaNotify()`.
+ * @typedef {Object} ToastUpdate
+ * @property {ToastType} [type]
+ *   New toast type. Unless also patched, the toast's priority and duration
+ *   are reset to the defaults of the new type.
+ * @property {ToastContent} [content]
+ *   New toast content.
+ * @property {string} [icon]
+ *   Trusted HTML markup rendered in the toast's icon slot.
+ * @property {ToastAction} [action]
+ *   New action button configuration. Shorthand for a single entry in
+ *   `actions`.
+ * @property {ToastAction[]} [actions]
+ *   New action buttons.
+ * @property {ToastDuration} [duration]
+ *   New auto-dismiss duration in milliseconds. `0` disables automatic
+ *   dismissal and `'auto'` derives it from the toast's text.
+ * @property {string} [className]
+ *   Additional CSS class names applied to the toast.
+ * @property {boolean} [dismissible]
+ *   Whether the toast can be manually dismissed.
+ * @property {ToastPriority} [priority]
+ *   Priority used for announcements and `priority` ordering.
+ * @property {string} [announcement]
+ *   Text announced to screen readers instead of the toast's content.
+ * @property {boolean} [announce]
+ *   Whether to announce the updated toast. Defaults to `true` when `content`
+ *   is changed.
+ */
+
+/**
+ * Content shown by a toast created with {@link ToastQueue#promise}.
  *
- * @typedef {'normal'|'high'} ToastPriority
+ * @template T
+ * @typedef {Object} ToastPromiseMessages
+ * @property {ToastContent} loading
+ *   Content shown while the promise is pending.
+ * @property {ToastContent|ToastPromiseContent<T>} [success]
+ *   Content shown when the promise resolves. The toast is closed when
+ *   omitted.
+ * @property {ToastContent|ToastPromiseContent<unknown>} [error]
+ *   Content shown when the promise rejects. The toast is closed when
+ *   omitted.
+ */
+
+/**
+ * Returns toast content for a settled promise.
+ *
+ * @template T
+ * @callback ToastPromiseContent
+ * @param {T} result
+ *   The resolved value or rejection reason.
+ * @returns {ToastContent}
+ */
+
+/**
+ * Built-in toast type.
+ *
+ * `loading` toasts render a spinner and never expire on their own.
+ *
+ * @typedef {'success'|'error'|'warning'|'info'|'loading'} ToastType
+ */
+
+/**
+ * Toast priority used for screen-reader announcements and `priority`
+ * ordering.
+ *
+ * Named priorities map to the levels `low` (0), `normal` (1), `high` (2)
+ * and `critical` (3). Numbers are used as levels directly. Levels of `high`
+ * and above request a higher announcement priority from `ariaNotify()`.
+ *
+ * @typedef {'low'|'normal'|'high'|'critical'|number} ToastPriority
  */
 
 /**
@@ -93,8 +376,27 @@
  * @typedef {Object} ToastAction
  * @property {string} label
  *   Text displayed in the action button.
+ * @property {string} [id]
+ *   Identifier exposed as `data-action-id` and in the `toast-action` event.
+ * @property {ToastActionVariant} [variant]
+ *   Visual variant exposed as `data-variant`.
+ * @property {string} [href]
+ *   URL to navigate to. Renders the action as a link.
+ * @property {string} [target]
+ *   Browsing context for `href`, e.g. `_blank`.
+ * @property {boolean} [closeOnClick]
+ *   Whether clicking the action closes the toast. Synchronous handlers close
+ *   the toast only when `true`. When `onClick` returns a promise, the toast
+ *   is closed once it resolves unless this is `false`.
  * @property {ToastActionHandler} [onClick]
- *   Called when the action button is clicked.
+ *   Called when the action button is clicked. May return a promise, during
+ *   which the action is marked busy and the toast's timer is paused.
+ */
+
+/**
+ * Visual variant of a toast action.
+ *
+ * @typedef {'primary'|'secondary'|'destructive'} ToastActionVariant
  */
 
 /**
@@ -103,7 +405,7 @@
  * @callback ToastActionHandler
  * @param {ToastRecord} toast
  *   The toast associated with the action.
- * @returns {void}
+ * @returns {void|Promise<unknown>}
  */
 
 /**
@@ -121,32 +423,170 @@
  * @typedef {Object} ToastRecord
  * @property {string} id
  *   Unique identifier for the toast.
+ * @property {string} [key]
+ *   Deduplication key.
+ * @property {number} count
+ *   Number of times the toast has been added. Starts at `1` and increases
+ *   each time a toast with the same `key` is added while it is queued.
  * @property {number} timestamp
  *   Creation timestamp in milliseconds.
+ * @property {ToastType} [type]
+ *   Toast type.
  * @property {ToastContent} content
  *   Content displayed by the toast.
  * @property {string} [icon]
  *   Trusted HTML markup for the toast icon.
- * @property {ToastAction} [action]
- *   Optional action button configuration.
+ * @property {ToastAction[]} actions
+ *   Action button configurations.
  * @property {boolean} dismissible
  *   Whether the toast can be manually dismissed.
  * @property {ToastPriority} priority
  *   Screen-reader announcement priority.
+ * @property {ToastDuration} duration
+ *   Auto-dismiss duration in milliseconds. `0` disables automatic dismissal.
+ *   For `'auto'`, the calculated duration is available as `timer.duration`.
+ * @property {string} [announcement]
+ *   Text announced instead of the toast's content.
+ * @property {ToastQueuePosition} [position]
+ *   Position the toast was added with. Unset for toasts that follow the
+ *   queue position.
  * @property {string} [className]
  *   Additional CSS classes applied to the toast.
  * @property {ToastCloseHandler} [onClose]
  *   Called after the toast is closed.
+ * @property {boolean} broadcast
+ *   Whether the toast is mirrored to other tabs.
  * @property {Timer} [timer]
- *   Auto-dismiss timer.
- * @property {HTMLLIElement} itemRef
- *   Associated toast item in the DOM.
+ *   Auto-dismiss timer. Unset for toasts that never expire and while the
+ *   toast waits in the `sequential` backlog. `timer.duration`,
+ *   `timer.remaining` and `timer.elapsed` report the countdown in
+ *   milliseconds, and `timer.paused` is `true` while it is paused.
+ * @property {HTMLLIElement|null} itemRef
+ *   Associated toast item in the DOM. `null` while the toast waits in the
+ *   `sequential` backlog.
+ */
+
+/**
+ * Closed toast kept in the queue's history.
+ *
+ * @typedef {Object} ToastHistoryEntry
+ * @property {string} id
+ *   Identifier of the closed toast.
+ * @property {string} [key]
+ *   Deduplication key.
+ * @property {number} count
+ *   Repeat count when the toast was closed.
+ * @property {number} timestamp
+ *   Creation timestamp in milliseconds.
+ * @property {number} closedAt
+ *   Close timestamp in milliseconds.
+ * @property {CloseReason} reason
+ *   The reason the toast was closed.
+ * @property {ToastType} [type]
+ *   Toast type.
+ * @property {ToastContent} content
+ *   Content displayed by the toast.
+ * @property {string} [className]
+ *   Additional CSS classes applied to the toast.
+ * @property {string} [icon]
+ *   Trusted HTML markup for the toast icon.
+ * @property {ToastAction[]} actions
+ *   Action button configurations.
+ * @property {boolean} dismissible
+ *   Whether the toast could be manually dismissed.
+ * @property {ToastPriority} priority
+ *   Screen-reader announcement priority.
+ * @property {ToastDuration} duration
+ *   Auto-dismiss duration.
+ * @property {string} [announcement]
+ *   Text announced instead of the toast's content.
+ * @property {ToastQueuePosition} [position]
+ *   Position the toast was added with.
+ */
+
+/**
+ * Immutable state of a {@link ToastQueue}, returned by
+ * {@link ToastQueue#getSnapshot}.
+ *
+ * @typedef {Object} ToastQueueSnapshot
+ * @property {ToastState[]} toasts
+ *   Toasts in the queue, oldest first, followed by toasts waiting in the
+ *   `sequential` backlog.
+ * @property {boolean} paused
+ *   Whether the queue's timers are paused, e.g. by hover or `pause()`.
+ * @property {boolean} active
+ *   Whether the queue is interaction-active.
+ * @property {number} hiddenCount
+ *   Number of rendered toasts beyond the visible limit, across all
+ *   positions.
+ */
+
+/**
+ * Serializable state of a toast in a {@link ToastQueueSnapshot}.
+ *
+ * @typedef {Object} ToastState
+ * @property {string} id
+ *   Unique identifier for the toast.
+ * @property {string} [key]
+ *   Deduplication key.
+ * @property {number} count
+ *   Number of times the toast has been added.
+ * @property {number} timestamp
+ *   Creation timestamp in milliseconds.
+ * @property {ToastType} [type]
+ *   Toast type.
+ * @property {string|ToastContentObject} content
+ *   Content displayed by the toast. Nodes are replaced by their text.
+ * @property {string} [className]
+ *   Additional CSS classes applied to the toast.
+ * @property {string} [icon]
+ *   Trusted HTML markup for the toast icon.
+ * @property {Array<{label: string, id: (string|undefined), variant: (ToastActionVariant|undefined), href: (string|undefined), target: (string|undefined)}>} actions
+ *   Action configurations without their `onClick` handlers.
+ * @property {boolean} dismissible
+ *   Whether the toast can be manually dismissed.
+ * @property {ToastPriority} priority
+ *   Screen-reader announcement priority.
+ * @property {ToastDuration} duration
+ *   Auto-dismiss duration.
+ * @property {string} [announcement]
+ *   Text announced instead of the toast's content.
+ * @property {ToastQueuePosition} position
+ *   Position of the toast.
+ * @property {boolean} queued
+ *   Whether the toast waits in the `sequential` backlog.
+ * @property {boolean} paused
+ *   Whether the toast is paused or pinned on its own.
+ * @property {boolean} pinned
+ *   Whether the toast is pinned.
+ */
+
+/**
+ * Storage used to persist pending toasts.
+ *
+ * Matches the Web Storage interface, so `sessionStorage` and `localStorage`
+ * can be used as-is.
+ *
+ * @typedef {Object} ToastStorage
+ * @property {function(string): (string|null)} getItem
+ * @property {function(string, string): void} setItem
+ * @property {function(string): void} removeItem
  */
 
 /**
  * Reason a toast was closed.
  *
- * @typedef {'timeout'|'button'|'escape'|'swipe'|'manual'} CloseReason
+ * `action` is used when a toast is closed by one of its actions, `overflow`
+ * when it is removed to make room in a full queue, and `remote` when it
+ * was closed in another tab.
+ *
+ * @typedef {'timeout'|'button'|'escape'|'swipe'|'manual'|'action'|'overflow'|'remote'} CloseReason
+ */
+
+/**
+ * Reason a single toast is paused.
+ *
+ * @typedef {'manual'|'pin'} ToastPauseReason
  */
 
 /**
@@ -177,14 +617,72 @@
  *   The reason the toast was closed.
  */
 
+/**
+ * Detail payload for the `toast-update` event.
+ *
+ * @typedef {Object} ToastUpdateEventDetail
+ * @property {ToastRecord} toast
+ *   The toast that was updated.
+ */
+
+/**
+ * Detail payload for the `toast-show` and `toast-hide` events.
+ *
+ * @typedef {Object} ToastVisibilityEventDetail
+ * @property {ToastRecord} toast
+ *   The toast that was shown or hidden.
+ */
+
+/**
+ * Detail payload for the `toast-repeat` event.
+ *
+ * @typedef {Object} ToastRepeatEventDetail
+ * @property {ToastRecord} toast
+ *   The queued toast that was repeated. Its `count` holds the new repeat
+ *   count.
+ */
+
+/**
+ * Detail payload for the `history-change` event.
+ *
+ * @typedef {Object} ToastHistoryChangeEventDetail
+ * @property {ToastHistoryEntry[]} history
+ *   The history after the change, newest first.
+ */
+
 /**
  * Detail payload for the `toast-action` event.
  *
  * @typedef {{
- *   toast: ToastRecord
+ *   toast: ToastRecord,
+ *   action: ToastAction,
+ *   index: number
  * }} ToastActionEventDetail
  */
 
+/**
+ * Detail payload for the `toast-action-error` event.
+ *
+ * @typedef {{
+ *   toast: ToastRecord,
+ *   action: ToastAction,
+ *   index: number,
+ *   error: unknown
+ * }} ToastActionErrorEventDetail
+ */
+
+/**
+ * Detail payload for the `pause` and `resume` events of a single toast.
+ *
+ * Queue-wide `pause` and `resume` events have an empty detail.
+ *
+ * @typedef {{
+ *   id: string,
+ *   reason: ToastPauseReason,
+ *   reasons: ToastPauseReason[]
+ * }} ToastPauseEventDetail
+ */
+
 /**
  * Detail payload for the `activate` event.
  *
@@ -207,7 +705,35 @@
 /* -------------------------------------------------------------------------- */
 
 /**
- * @typedef {'manual'|'hover'|'visibility'|'focus'|'click'} PauseReason
+ * @typedef {'manual'|'hover'|'visibility'|'focus'|'click'|'shared'} PauseReason
+ * @private
+ */
+
+/**
+ * Serialized toast kept in a {@link ToastStorage}.
+ *
+ * @typedef {{
+ *   content: ToastContent,
+ *   options: ToastOptions
+ * }} PersistedToast
+ * @private
+ */
+
+/**
+ * Message exchanged between the queues of different tabs.
+ *
+ * @typedef {{
+ *   type: 'add',
+ *   id: string,
+ *   toast: PersistedToast
+ * } | {
+ *   type: 'update',
+ *   id: string,
+ *   patch: ToastUpdate
+ * } | {
+ *   type: 'close',
+ *   id: string
+ * }} ToastChannelMessage
  * @private
  */
 
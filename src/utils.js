@@ -1,4 +1,4 @@
-/** @import { ToastQueuePosition } from './types.js' */
+/** @import { ToastDuration, ToastPriority, ToastQueuePosition } from './types.js' */
 
 /**
  * Maps each toast queue position to the logical block/inline direction
@@ -32,6 +32,122 @@ const swipeableDirectionPositionTypes = {
   'bottom-end': 'right',
 };
 
+/**
+ * Maps each named toast priority to a numeric level.
+ *
+ * @type {Record<string, number>}
+ * @private
+ */
+const priorityLevels = {
+  low: 0,
+  normal: 1,
+  high: 2,
+  critical: 3,
+};
+
+/**
+ * Returns the numeric level of a toast priority.
+ *
+ * Numeric priorities are used as-is. Unknown names fall back to `normal`.
+ *
+ * @param {ToastPriority} [priority]
+ * @returns {number} The priority level. Higher levels are more urgent.
+ * @private
+ */
+export function getPriorityLevel(priority) {
+  if (typeof priority === 'number') return priority;
+
+  return priorityLevels[priority] ?? priorityLevels.normal;
+}
+
+/**
+ * Reads a numeric attribute value.
+ *
+ * @param {string|null|undefined} value
+ * @returns {number|undefined} The number, or `undefined` when the value is
+ *   missing or not a finite number.
+ * @private
+ */
+export function parseNumber(value) {
+  if (value == null || value.trim() === '') return;
+
+  const number = Number(value);
+
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Reads a duration attribute value, which is a number of milliseconds or
+ * `auto`.
+ *
+ * @param {string|null|undefined} value
+ * @returns {ToastDuration|undefined} The duration, or `undefined` when the
+ *   value is missing or invalid.
+ * @private
+ */
+export function parseDuration(value) {
+  return value === 'auto' ? value : parseNumber(value);
+}
+
+/**
+ * Reads a priority attribute value, which is a priority name or number.
+ *
+ * @param {string|null|undefined} value
+ * @returns {ToastPriority|undefined} The priority, or `undefined` when the
+ *   value is missing or invalid.
+ * @private
+ */
+export function parsePriority(value) {
+  return Object.hasOwn(priorityLevels, value ?? '') ? value : parseNumber(value);
+}
+
+/**
+ * Returns the `ariaNotify()` priority for a toast priority.
+ *
+ * @param {ToastPriority} [priority]
+ * @returns {'normal'|'high'} `high` for priorities at or above the `high` level.
+ * @private
+ */
+export function getAnnouncementPriority(priority) {
+  return getPriorityLevel(priority) >= priorityLevels.high ? 'high' : 'normal';
+}
+
+/**
+ * Units used by {@link formatRelativeTime}, each with the number of units
+ * that make up the next one.
+ * @private
+ */
+const relativeTimeUnits = [
+  ['second', 60],
+  ['minute', 60],
+  ['hour', 24],
+  ['day', Infinity],
+];
+
+/**
+ * Formats a timestamp relative to another, e.g. "5 minutes ago".
+ *
+ * Uses the document language when set.
+ *
+ * @param {number} timestamp - Time to format in milliseconds.
+ * @param {number} [now=Date.now()] - Reference time in milliseconds.
+ * @returns {string}
+ * @private
+ */
+export function formatRelativeTime(timestamp, now = Date.now()) {
+  const format = new Intl.RelativeTimeFormat(document.documentElement.lang || undefined, {
+    numeric: 'auto',
+  });
+
+  let value = (timestamp - now) / 1000;
+
+  for (const [unit, size] of relativeTimeUnits) {
+    if (Math.abs(value) < size) return format.format(Math.round(value), unit);
+
+    value /= size;
+  }
+}
+
 /**
  * Returns the View Transition class for a toast queue position.
  *
@@ -54,6 +170,49 @@ export function getSwipeableDirection(position) {
   return swipeableDirectionPositionTypes[position];
 }
 
+/**
+ * Maps the modifier names used in hotkeys to keyboard event properties.
+ *
+ * @type {Record<string, string>}
+ * @private
+ */
+const hotkeyModifiers = {
+  alt: 'altKey',
+  ctrl: 'ctrlKey',
+  control: 'ctrlKey',
+  meta: 'metaKey',
+  cmd: 'metaKey',
+  shift: 'shiftKey',
+};
+
+/**
+ * Whether a keyboard event matches a hotkey such as `Alt+T` or `F6`.
+ *
+ * Modifiers must match exactly. Letters and digits also match their
+ * physical key, since modifiers like Alt change the typed character on
+ * some keyboard layouts.
+ *
+ * @param {KeyboardEvent} event
+ * @param {string} hotkey - Modifiers and a key, joined by `+`.
+ * @returns {boolean}
+ * @private
+ */
+export function matchesHotkey(event, hotkey) {
+  const parts = hotkey.split('+').map((part) => part.trim());
+  const key = parts.pop();
+  const modifiers = new Set(parts.map((part) => hotkeyModifiers[part.toLowerCase()]));
+
+  for (const property of Object.values(hotkeyModifiers)) {
+    if (event[property] !== modifiers.has(property)) return false;
+  }
+
+  if (event.key?.toLowerCase() === key.toLowerCase()) return true;
+  if (/^[a-z]$/i.test(key)) return event.code === `Key${key.toUpperCase()}`;
+  if (/^[0-9]$/.test(key)) return event.code === `Digit${key}`;
+
+  return false;
+}
+
 /**
  * Result returned by {@link wrapInViewTransition}.
  *
@@ -124,6 +283,7 @@ export class Timer {
   #startTime;
   #functionRef;
   #remainingTime;
+  #duration;
 
   /**
    * Creates a new timer and starts it immediately.
@@ -133,20 +293,66 @@ export class Timer {
    */
   constructor(functionRef, delay) {
     this.#functionRef = functionRef;
-    this.#remainingTime = Math.max(0, delay);
+    this.#duration = Math.max(0, delay);
+    this.#remainingTime = this.#duration;
     this.resume();
   }
 
+  /**
+   * The initial duration in milliseconds.
+   *
+   * @readonly
+   * @type {number}
+   */
+  get duration() {
+    return this.#duration;
+  }
+
+  /**
+   * The time left in milliseconds.
+   *
+   * @readonly
+   * @type {number}
+   */
+  get remaining() {
+    if (this.#timerId === null) return this.#remainingTime;
+
+    return Math.max(0, this.#remainingTime - (Date.now() - this.#startTime));
+  }
+
+  /**
+   * The time that has run in milliseconds.
+   *
+   * @readonly
+   * @type {number}
+   */
+  get elapsed() {
+    return Math.max(0, this.#duration - this.remaining);
+  }
+
+  /**
+   * Whether the timer is paused or cleared.
+   *
+   * @readonly
+   * @type {boolean}
+   */
+  get paused() {
+    return this.#timerId === null;
+  }
+
   /**
    * Resumes the timer using its remaining duration.
    *
    * Has no effect if the timer is already running.
    *
+   * @param {number} [minRemaining=0] - Minimum time in milliseconds left
+   *   once the timer resumes.
    * @returns {void}
    */
-  resume() {
+  resume(minRemaining = 0) {
     if (this.#timerId !== null) return;
 
+    this.#remainingTime = Math.max(this.#remainingTime, minRemaining);
     this.#startTime = Date.now();
     this.#timerId = setTimeout(this.#functionRef, this.#remainingTime);
   }